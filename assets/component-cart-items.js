@@ -9,6 +9,8 @@ import {
   DiscountUpdateEvent,
 } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { HEALTH_BOOST_LABELS } from '@theme/pet-profile-schema';
+import { LIFE_STAGE_LABELS, getLifeStage } from '@theme/pet-life-stage';
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
 
@@ -58,7 +60,7 @@ class CartItemsComponent extends Component {
       quantity,
       action: 'change',
     });
-    const lineItemRow = this.refs.cartItemRows[line - 1];
+    const lineItemRow = this.#getRow(line);
 
     if (!lineItemRow) return;
 
@@ -77,7 +79,7 @@ class CartItemsComponent extends Component {
       action: 'clear',
     });
 
-    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
+    const cartItemRowToRemove = this.#getRow(line);
 
     if (!cartItemRowToRemove) return;
 
@@ -101,11 +103,45 @@ class CartItemsComponent extends Component {
     });
   }
 
+  /**
+   * Handles a line item being moved to another pet.
+   * @param {number} line - The line item index.
+   * @param {Event} event - The change event from the line's pet select.
+   */
+  onLinePetChange(line, event) {
+    const select = event.target;
+    if (!(select instanceof HTMLSelectElement)) return;
+
+    const option = select.selectedOptions[0];
+    if (!option?.value) return;
+
+    const { petName = '', petType = '', petAllergies = '', petHealthBoost = '', petWeight, petBirthday } = option.dataset;
+    const lifeStage = getLifeStage({ type: petType, weight: petWeight, birthday: petBirthday });
+    const quantityInput = this.#getRow(line)?.querySelector('input[data-cart-line]');
+
+    this.updateQuantity({
+      line,
+      quantity: quantityInput instanceof HTMLInputElement ? Number(quantityInput.defaultValue) : 1,
+      properties: {
+        // Change replaces every property, so keep the ones that aren't about the pet
+        ...JSON.parse(select.dataset.properties || '{}'),
+        '_Pet ID': option.value,
+        'Pet Name': petName,
+        '_Pet Type': petType,
+        '_Pet Allergies': petAllergies,
+        'Health Boost': HEALTH_BOOST_LABELS[petHealthBoost] ?? petHealthBoost,
+        'Life Stage': lifeStage ? LIFE_STAGE_LABELS[lifeStage] : '',
+      },
+      action: 'change-pet',
+    });
+  }
+
   /**
    * Updates the quantity.
    * @param {Object} config - The config.
    * @param {number} config.line - The line.
    * @param {number} config.quantity - The quantity.
+   * @param {Record<string, string>} [config.properties] - New line item properties, replacing the current ones.
    * @param {string} config.action - The action.
    */
   updateQuantity(config) {
@@ -113,7 +149,7 @@ class CartItemsComponent extends Component {
 
     this.#disableCartItems();
 
-    const { line, quantity } = config;
+    const { line, quantity, properties } = config;
     const { cartTotal } = this.refs;
 
     const cartItemsComponents = document.querySelectorAll('cart-items-component');
@@ -127,6 +163,7 @@ class CartItemsComponent extends Component {
     const body = JSON.stringify({
       line: line,
       quantity: quantity,
+      ...(properties && { properties }),
       sections: Array.from(sectionsToUpdate).join(','),
       sections_url: window.location.pathname,
     });
@@ -195,13 +232,18 @@ class CartItemsComponent extends Component {
    * @param {string} parsedResponseText.errors - The errors.
    */
   #handleCartError = (line, parsedResponseText) => {
-    const quantitySelector = this.refs.quantitySelectors[line - 1];
-    const quantityInput = quantitySelector?.querySelector('input');
+    const lineItemRow = this.#getRow(line);
+    const quantityInput = lineItemRow?.querySelector('input[data-cart-line]');
 
-    if (!quantityInput) throw new Error('Quantity input not found');
+    if (!(quantityInput instanceof HTMLInputElement)) throw new Error('Quantity input not found');
 
     quantityInput.value = quantityInput.defaultValue;
 
+    // Put a failed pet change back
+    for (const option of lineItemRow?.querySelector('select.cart-items__pet-select')?.options ?? []) {
+      option.selected = option.defaultSelected;
+    }
+
     const cartItemError = this.refs[`cartItemError-${line}`];
     const cartItemErrorContainer = this.refs[`cartItemErrorContainer-${line}`];
 
@@ -235,6 +277,15 @@ class CartItemsComponent extends Component {
     }
   };
 
+  /**
+   * Gets the row of a line item. Rows are grouped by pet, so they aren't always in line order.
+   * @param {number} line - The line item index.
+   * @returns {HTMLTableRowElement | undefined} The row.
+   */
+  #getRow(line) {
+    return this.refs.cartItemRows.find((row) => row.dataset.line === String(line));
+  }
+
   /**
    * Disables the cart items.
    */
@@ -26,6 +26,14 @@ export class ThemeEvents {
   static discountUpdate = 'discount:update';
   /** @static @constant {string} Event triggered when changing collection filters */
   static FilterUpdate = 'filter:update';
+  /** @static @constant {string} Event triggered when a pet profile is created */
+  static petCreated = 'pet:created';
+  /** @static @constant {string} Event triggered when a pet profile is updated */
+  static petUpdated = 'pet:updated';
+  /** @static @constant {string} Event triggered when a pet profile is deleted */
+  static petDeleted = 'pet:deleted';
+  /** @static @constant {string} Event triggered when the customer picks which pet they are shopping for */
+  static petSelected = 'pet:selected';
 }
 
 /**
@@ -287,3 +295,73 @@ export class FilterUpdateEvent extends Event {
     return [...this.detail.queryParams.entries()].filter(([key]) => key.startsWith('filter.')).length > 0;
   }
 }
+
+/**
+ * Event class for a newly created pet profile
+ * @extends {Event}
+ */
+export class PetCreatedEvent extends Event {
+  /**
+   * Creates a new PetCreatedEvent
+   * @param {Object} pet - The pet as stored in the pet store
+   * @param {string} pet.id - The pet's metaobject ID
+   */
+  constructor(pet) {
+    super(ThemeEvents.petCreated, { bubbles: true });
+    this.detail = {
+      pet,
+    };
+  }
+}
+
+/**
+ * Event class for an updated pet profile
+ * @extends {Event}
+ */
+export class PetUpdatedEvent extends Event {
+  /**
+   * Creates a new PetUpdatedEvent
+   * @param {Object} pet - The pet with its changes applied
+   * @param {string} pet.id - The pet's metaobject ID
+   */
+  constructor(pet) {
+    super(ThemeEvents.petUpdated, { bubbles: true });
+    this.detail = {
+      pet,
+    };
+  }
+}
+
+/**
+ * Event class for a deleted pet profile
+ * @extends {Event}
+ */
+export class PetDeletedEvent extends Event {
+  /**
+   * Creates a new PetDeletedEvent
+   * @param {string} petId - The deleted pet's metaobject ID
+   */
+  constructor(petId) {
+    super(ThemeEvents.petDeleted, { bubbles: true });
+    this.detail = {
+      petId,
+    };
+  }
+}
+
+/**
+ * Event class for the customer picking which pet they are shopping for
+ * @extends {Event}
+ */
+export class PetSelectedEvent extends Event {
+  /**
+   * Creates a new PetSelectedEvent
+   * @param {import('./pet-store').Pet | null} pet - The active pet, or null when the customer has none
+   */
+  constructor(pet) {
+    super(ThemeEvents.petSelected, { bubbles: true });
+    this.detail = {
+      pet,
+    };
+  }
+}
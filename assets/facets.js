@@ -2,6 +2,8 @@ import { sectionRenderer } from '@theme/section-renderer';
 import { Component } from '@theme/component';
 import { FilterUpdateEvent, ThemeEvents } from '@theme/events';
 import { debounce, formatMoney, startViewTransition } from '@theme/utilities';
+import { petStore } from '@theme/pet-store';
+import { parseProteins, formatProteins } from '@theme/pet-allergies';
 
 /**
  * Search query parameter.
@@ -858,6 +860,122 @@ if (!customElements.get('facet-status-component')) {
   customElements.define('facet-status-component', FacetStatusComponent);
 }
 
+/**
+ * sessionStorage key of the pet chosen in the "Safe for" filter
+ * @type {string}
+ */
+const PET_SAFE_FILTER_KEY = 'pet-safe-filter';
+
+/**
+ * @typedef {Object} PetSafeFilterRefs
+ * @property {HTMLElement} wrapper - Hidden until a pet with allergies is loaded
+ * @property {HTMLSelectElement} petSelect - The pet select, the first option shows every product
+ * @property {HTMLElement} status - Describes what is being hidden
+ * @property {HTMLStyleElement} rules - Rules hiding the unsafe products
+ */
+
+/**
+ * Hides products containing a protein the chosen pet is allergic to.
+ * Products declare their proteins in the custom.proteins metafield, rendered on each product card;
+ * products without it are always shown. Shopify filters can't exclude values, so the products are
+ * hidden with CSS, which also covers cards added by infinite scroll and filter updates.
+ *
+ * @extends {Component<PetSafeFilterRefs>}
+ */
+class PetSafeFilterComponent extends Component {
+  requiredRefs = ['wrapper', 'petSelect', 'status', 'rules'];
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const customerId = this.getAttribute('customer-id');
+    if (!customerId) return;
+
+    this.#unsubscribe = petStore.subscribe(this.#renderPets);
+    this.#renderPets(petStore.get(customerId));
+
+    petStore
+      .load(customerId)
+      .then(this.#renderPets)
+      .catch((error) => console.warn('Could not load pets for the safe for filter:', error));
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+  }
+
+  /**
+   * Handles a pet being picked, keeping every "Safe for" filter on the page in step
+   */
+  handleChange() {
+    const petId = this.refs.petSelect.value;
+
+    if (petId) {
+      sessionStorage.setItem(PET_SAFE_FILTER_KEY, petId);
+    } else {
+      sessionStorage.removeItem(PET_SAFE_FILTER_KEY);
+    }
+
+    for (const filter of document.querySelectorAll('pet-safe-filter-component')) {
+      if (filter instanceof PetSafeFilterComponent) filter.applyFilter();
+    }
+  }
+
+  /**
+   * Lists the pets that have allergies and re-applies the stored choice
+   * @param {Array<{ id: string, name: string, allergies: string[] }>} pets
+   */
+  #renderPets = (pets) => {
+    const { wrapper, petSelect } = this.refs;
+    const allergicPets = pets.filter((pet) => parseProteins(pet.allergies.join(',')).length > 0);
+
+    // Keep the "Any pet" option
+    petSelect.options.length = 1;
+
+    for (const pet of allergicPets) {
+      const option = document.createElement('option');
+      option.value = String(pet.id);
+      option.textContent = pet.name;
+      option.dataset.allergies = pet.allergies.join(',');
+      petSelect.append(option);
+    }
+
+    wrapper.hidden = allergicPets.length === 0;
+    this.applyFilter();
+  };
+
+  /**
+   * Hides the products that aren't safe for the stored pet
+   */
+  applyFilter() {
+    const { petSelect, status, rules } = this.refs;
+    petSelect.value = sessionStorage.getItem(PET_SAFE_FILTER_KEY) ?? '';
+
+    // The stored pet was deleted, or belongs to another customer
+    if (petSelect.selectedIndex === -1) petSelect.value = '';
+
+    const option = petSelect.selectedOptions[0];
+    const allergies = parseProteins(option?.dataset.allergies);
+
+    rules.textContent = allergies
+      .map(
+        (allergy) => `.product-grid__item:has(product-card[data-product-proteins*="${allergy}" i]) { display: none; }`
+      )
+      .join('\n');
+
+    status.textContent = allergies.length ? `Hiding products with ${formatProteins(allergies)}` : '';
+  }
+}
+
+if (!customElements.get('pet-safe-filter-component')) {
+  customElements.define('pet-safe-filter-component', PetSafeFilterComponent);
+}
+
 /**
  * Default currency decimals used in most currenies
  * @constant {number}
@@ -28,6 +28,7 @@ declare global {
       cart_url: string;
       predictive_search_url: string;
       search_url: string;
+      pet_api_url: string;
     };
     utilities: {
       scheduler: {
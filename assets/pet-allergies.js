@@ -0,0 +1,44 @@
+import { getAllergens } from '@theme/pet-profile-schema';
+import { getSpeciesRegistry } from '@theme/pet-species';
+
+/**
+ * Parse the proteins a product declares in its custom.proteins metafield
+ * Liquid passes the list joined with commas; anything that isn't an allergen of a registered species is dropped.
+ * @param {string | null | undefined} value - e.g. "Chicken, turkey"
+ * @returns {string[]}
+ */
+export function parseProteins(value) {
+  if (!value) return [];
+
+  const allergens = getAllergens(getSpeciesRegistry());
+
+  return value
+    .split(',')
+    .map((protein) => protein.trim().toLowerCase())
+    .filter((protein) => allergens.includes(protein));
+}
+
+/**
+ * Get the proteins a pet is allergic to
+ * @param {{ allergies?: string[] | string }} pet
+ * @param {string[]} proteins - From parseProteins
+ * @returns {string[]} Empty when the product is safe for the pet
+ */
+export function getAllergyConflicts(pet, proteins) {
+  const allergies = Array.isArray(pet.allergies)
+    ? pet.allergies
+    : String(pet.allergies || '').split(',').map((allergy) => allergy.trim());
+
+  return proteins.filter((protein) => allergies.includes(protein));
+}
+
+/**
+ * Turn conflicting proteins into readable text, e.g. "beef and chicken"
+ * @param {string[]} proteins
+ * @returns {string}
+ */
+export function formatProteins(proteins) {
+  if (proteins.length <= 1) return proteins.join('');
+
+  return `${proteins.slice(0, -1).join(', ')} and ${proteins[proteins.length - 1]}`;
+}
@@ -0,0 +1,317 @@
+/**
+ * Pet Profile API client
+ * Every request to the pet profile app goes through here, so the base URL, timeouts and
+ * retries are set in one place. The base URL comes from the "Pet profile app URL" theme setting.
+ */
+
+const DEFAULT_BASE_URL = '/apps/pet-profile';
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_RETRIES = 2;
+const RETRY_DELAY_MS = 500;
+
+/**
+ * Customer-facing messages keyed by the app's error codes (see shopify-app/lib/errors.js)
+ * network_error is set here for requests that never got a response.
+ * @type {Record<string, string>}
+ */
+const ERROR_MESSAGES = {
+  network_error: "We couldn't reach the pet profile service. Check your connection and try again.",
+  unauthorized: 'Your session has expired. Please log in again.',
+  forbidden: "Only the pet's owner can do that.",
+  not_found: "We couldn't find that pet. It may have been removed.",
+  validation_failed: "Some details aren't valid. Please check them and try again.",
+  conflict: 'This has already been saved. Please refresh the page.',
+  share_link_invalid: 'This share link is invalid or has expired. Ask for a new one.',
+  share_link_revoked: 'This pet is no longer being shared.',
+  upstream_error: "The store couldn't save your changes just now. Please try again in a moment.",
+  internal_error: 'Something went wrong on our side. Please try again.',
+};
+
+/**
+ * Error thrown for failed pet API requests
+ * @extends {Error}
+ */
+export class PetApiError extends Error {
+  /**
+   * @param {string} message - Message from the server, or a generic one
+   * @param {Object} [details]
+   * @param {number} [details.status] - HTTP status, 0 when the request never got a response
+   * @param {Record<string, string> | null} [details.fieldErrors] - Message per pet_data key for invalid data
+   * @param {string} [details.code] - Stable error code from the server, e.g. 'not_found'
+   * @param {string | null} [details.requestId] - The request's ID in the app's logs, for support
+   */
+  constructor(message, { status = 0, fieldErrors = null, code = status ? 'internal_error' : 'network_error', requestId = null } = {}) {
+    super(message);
+    this.name = 'PetApiError';
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+    this.code = code;
+    this.requestId = requestId;
+  }
+
+  /**
+   * Whether the app couldn't be reached at all, as opposed to rejecting the request
+   * @returns {boolean}
+   */
+  get isNetworkError() {
+    return this.status === 0;
+  }
+}
+
+/**
+ * Get a message to show the customer for a failed request
+ * Server failures include the request ID so support can find them in the app's logs.
+ * @param {unknown} error
+ * @param {string} [fallback] - Shown for errors that didn't come from the pet API
+ * @returns {string}
+ */
+export function getErrorMessage(error, fallback = 'Something went wrong. Please try again.') {
+  if (!(error instanceof PetApiError)) return fallback;
+
+  const message = ERROR_MESSAGES[error.code] || fallback;
+  return error.status >= 500 && error.requestId ? `${message} (Reference: ${error.requestId})` : message;
+}
+
+/**
+ * Get the configured base URL without a trailing slash
+ * @returns {string}
+ */
+export function getPetApiBaseUrl() {
+  const baseUrl = (typeof Theme !== 'undefined' && Theme.routes?.pet_api_url) || DEFAULT_BASE_URL;
+  return baseUrl.replace(/\/+$/, '');
+}
+
+/**
+ * Send a request to the pet profile app
+ * GET, PUT and DELETE are retried on network errors, timeouts, 429 and 5xx responses.
+ * POST is never retried, since a create that timed out may still have gone through.
+ * @param {string} path - Path below the base URL, e.g. '/list'
+ * @param {Object} [options]
+ * @param {string} [options.method]
+ * @param {Object | FormData} [options.body] - Sent as JSON unless it is FormData
+ * @param {number} [options.timeout] - Milliseconds before a single attempt is aborted
+ * @returns {Promise<any>} The parsed JSON response
+ */
+export async function petApiRequest(path, { method = 'GET', body, timeout = REQUEST_TIMEOUT_MS } = {}) {
+  const retries = method === 'POST' ? 0 : MAX_RETRIES;
+
+  /** @type {Record<string, string>} */
+  const headers = { Accept: 'application/json' };
+  let requestBody;
+
+  if (body instanceof FormData) {
+    // Let the browser set the multipart boundary
+    requestBody = body;
+  } else if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+    requestBody = JSON.stringify(body);
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await sendRequest(`${getPetApiBaseUrl()}${path}`, { method, headers, body: requestBody }, timeout);
+    } catch (error) {
+      const retryable = error instanceof PetApiError && (error.isNetworkError || error.status === 429 || error.status >= 500);
+      if (!retryable || attempt >= retries) throw error;
+
+      await new Promise((resolve) => setTimeout(resolve, RETRY_DELAY_MS * 2 ** attempt));
+    }
+  }
+}
+
+/**
+ * Run a single request with a timeout and turn failures into PetApiErrors
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {number} timeout
+ * @returns {Promise<any>}
+ */
+async function sendRequest(url, init, timeout) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  let response;
+  try {
+    response = await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    const timedOut = error instanceof DOMException && error.name === 'AbortError';
+    throw new PetApiError(timedOut ? 'The pet profile service took too long to respond' : 'Could not reach the pet profile service');
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : {};
+  } catch (e) {
+    // Not JSON, e.g. an HTML error page from a proxy
+  }
+
+  if (!response.ok) {
+    const message = data?.error || `Server returned ${response.status} ${response.statusText}`;
+    throw new PetApiError(message, {
+      status: response.status,
+      fieldErrors: data?.field_errors || null,
+      code: data?.code,
+      requestId: data?.request_id || response.headers.get('X-Request-Id'),
+    });
+  }
+
+  if (data === null) {
+    throw new PetApiError('The pet profile service sent an unexpected response', { status: response.status });
+  }
+
+  return data;
+}
+
+/**
+ * Load all of the signed-in customer's pets, following pagination
+ * @returns {Promise<import('./pet-store').Pet[]>}
+ */
+export async function listPets() {
+  const pets = [];
+  let after = null;
+
+  do {
+    const query = new URLSearchParams({ first: '50' });
+    if (after) query.set('after', after);
+
+    const data = await petApiRequest(`/list?${query}`);
+    pets.push(...(data.pets || []));
+    after = data.page_info?.has_next_page ? data.page_info.end_cursor : null;
+  } while (after);
+
+  return pets;
+}
+
+/**
+ * Create a pet for the signed-in customer
+ * @param {Record<string, any>} petData - pet_data fields
+ * @param {Object} [options]
+ * @param {Blob | null} [options.image] - Photo to upload with the pet
+ * @returns {Promise<{ success: boolean, metaobject_id: string, pet: Object }>}
+ */
+export function createPet(petData, { image = null } = {}) {
+  return petApiRequest('/create', { method: 'POST', body: buildPetBody(petData, image) });
+}
+
+/**
+ * Update one of the signed-in customer's pets; only the fields in petData change
+ * @param {string} petId - Metaobject GID
+ * @param {Record<string, any>} petData - pet_data fields
+ * @param {Object} [options]
+ * @param {Blob | null} [options.image] - New photo, if one was picked
+ * @returns {Promise<{ success: boolean, pet: Object }>}
+ */
+export function updatePet(petId, petData, { image = null } = {}) {
+  return petApiRequest(`/${encodeURIComponent(petId)}`, { method: 'PUT', body: buildPetBody(petData, image) });
+}
+
+/**
+ * Delete one of the signed-in customer's pets
+ * @param {string} petId - Metaobject GID
+ * @returns {Promise<{ success: boolean, deleted_id: string }>}
+ */
+export function deletePet(petId) {
+  return petApiRequest(`/delete/${encodeURIComponent(petId)}`, { method: 'DELETE' });
+}
+
+/**
+ * Export everything stored about the signed-in customer's pets, including health records
+ * @returns {Promise<{ customer_id: string, exported_at: string, pets: Object[] }>}
+ */
+export function exportPetData() {
+  return petApiRequest('/export');
+}
+
+/**
+ * Create a share link token for one of the signed-in customer's own pets
+ * @param {string} petId - Metaobject GID
+ * @returns {Promise<{ success: boolean, token: string, expires_at: string }>}
+ */
+export function sharePet(petId) {
+  return petApiRequest(`/share/${encodeURIComponent(petId)}`, { method: 'POST' });
+}
+
+/**
+ * Add a pet someone shared to the signed-in customer's pets
+ * @param {string} token - From the share link
+ * @returns {Promise<{ success: boolean, pet_id: string }>}
+ */
+export function acceptPetShare(token) {
+  return petApiRequest('/share/accept', { method: 'POST', body: { token } });
+}
+
+/**
+ * @typedef {import('./pet-profile-schema').HealthRecordData & { id: string, pet_id: string }} HealthRecord
+ */
+
+/** @type {Promise<HealthRecord[]> | null} Shared by every card's Health tab, so the records load once per page */
+let healthRecordsRequest = null;
+
+/**
+ * Load the health records of the signed-in customer's pets
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh] - Fetch again instead of reusing the page's earlier request
+ * @returns {Promise<HealthRecord[]>}
+ */
+export function listHealthRecords({ refresh = false } = {}) {
+  if (!healthRecordsRequest || refresh) {
+    healthRecordsRequest = petApiRequest('/health')
+      .then((data) => data.records || [])
+      .catch((error) => {
+        healthRecordsRequest = null;
+        throw error;
+      });
+  }
+
+  return healthRecordsRequest;
+}
+
+/**
+ * Create the health record of one of the signed-in customer's pets
+ * @param {string} petId - Metaobject GID of the pet
+ * @param {Object} record - health_record fields
+ * @returns {Promise<{ success: boolean, record: HealthRecord }>}
+ */
+export function createHealthRecord(petId, record) {
+  healthRecordsRequest = null;
+  return petApiRequest(`/health/${encodeURIComponent(petId)}`, { method: 'POST', body: { health_record: record } });
+}
+
+/**
+ * Update a pet's health record; only the fields in record change
+ * @param {string} petId - Metaobject GID of the pet
+ * @param {Object} record - health_record fields
+ * @returns {Promise<{ success: boolean, record: HealthRecord }>}
+ */
+export function updateHealthRecord(petId, record) {
+  healthRecordsRequest = null;
+  return petApiRequest(`/health/${encodeURIComponent(petId)}`, { method: 'PUT', body: { health_record: record } });
+}
+
+/**
+ * Delete a pet's health record
+ * @param {string} petId - Metaobject GID of the pet
+ * @returns {Promise<{ success: boolean, deleted_id: string }>}
+ */
+export function deleteHealthRecord(petId) {
+  healthRecordsRequest = null;
+  return petApiRequest(`/health/${encodeURIComponent(petId)}`, { method: 'DELETE' });
+}
+
+/**
+ * Build a create/update body, switching to multipart when there is a photo
+ * @param {Record<string, any>} petData
+ * @param {Blob | null} image
+ * @returns {Object | FormData}
+ */
+function buildPetBody(petData, image) {
+  if (!image) return { pet_data: petData };
+
+  const formData = new FormData();
+  formData.append('pet_data', JSON.stringify(petData));
+  formData.append('pet_image', image, `${petData.name || 'pet'}-photo.jpg`);
+  return formData;
+}
@@ -0,0 +1,446 @@
+import { Component } from '@theme/component';
+import { validateHealthRecord } from '@theme/pet-profile-schema';
+import {
+  PetApiError,
+  getErrorMessage,
+  listHealthRecords,
+  createHealthRecord,
+  updateHealthRecord,
+  deleteHealthRecord,
+} from '@theme/pet-api';
+
+/** @typedef {import('./pet-api').HealthRecord} HealthRecord */
+
+/** @type {HealthRecord} What an empty form starts from */
+const EMPTY_RECORD = {
+  id: '',
+  pet_id: '',
+  vaccinations: [],
+  medications: [],
+  conditions: [],
+  vet_name: '',
+  vet_clinic: '',
+  vet_phone: '',
+  vet_email: '',
+  notes: '',
+};
+
+/** Columns of the vaccination and medication rows in the edit form */
+const LIST_COLUMNS = {
+  vaccinations: [
+    { key: 'name', label: 'Vaccine', type: 'text' },
+    { key: 'date', label: 'Given', type: 'date' },
+    { key: 'next_due', label: 'Next due', type: 'date' },
+  ],
+  medications: [
+    { key: 'name', label: 'Medication', type: 'text' },
+    { key: 'dosage', label: 'Dosage', type: 'text' },
+    { key: 'frequency', label: 'Frequency', type: 'text' },
+  ],
+};
+
+/**
+ * Pet Health Record Component
+ * Shows and edits the vaccinations, medications, conditions and vet of one pet, on the Health tab of its card.
+ * Nothing is fetched until load() is called, when the tab is first opened.
+ * With the read-only attribute, for pets shared with the customer, the record can't be added or edited.
+ *
+ * @extends Component
+ */
+export class PetHealthRecord extends Component {
+  /** @type {HealthRecord | null} */
+  #record = null;
+
+  #loaded = false;
+
+  #editing = false;
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.addEventListener('click', this.#onClick);
+    this.addEventListener('submit', this.#onSubmit);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.removeEventListener('click', this.#onClick);
+    this.removeEventListener('submit', this.#onSubmit);
+  }
+
+  get petId() {
+    return this.getAttribute('pet-id') || '';
+  }
+
+  get readOnly() {
+    return this.hasAttribute('read-only');
+  }
+
+  /**
+   * Load the pet's record, once
+   */
+  async load() {
+    if (this.#loaded) return;
+    this.#loaded = true;
+
+    this.innerHTML = '<p class="pet-health__status">Loading health record…</p>';
+
+    try {
+      const records = await listHealthRecords();
+      this.#record = records.find((record) => record.pet_id === this.petId) || null;
+      this.#render();
+    } catch (error) {
+      this.#loaded = false;
+      console.error('Error loading health record:', error);
+      this.innerHTML = `
+        <p class="pet-health__status">We couldn't load the health record.</p>
+        <button type="button" class="pet-health__link" data-action="retry">Try again</button>
+      `;
+    }
+  }
+
+  #render() {
+    this.innerHTML = this.#editing ? this.#renderForm(this.#record || EMPTY_RECORD) : this.#renderRecord();
+  }
+
+  /**
+   * @returns {string}
+   */
+  #renderRecord() {
+    const record = this.#record;
+
+    if (!record && this.readOnly) {
+      return `<p class="pet-health__status">No health record yet.</p>`;
+    }
+
+    if (!record) {
+      return `
+        <p class="pet-health__status">No health record yet. Add vaccinations, medications and your vet's details.</p>
+        <button type="button" class="button button-secondary pet-health__button" data-action="edit">Add health record</button>
+      `;
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+
+    const vaccinations = record.vaccinations.map((vaccination) => {
+      const overdue = vaccination.next_due && vaccination.next_due < today;
+      return `
+        <li class="pet-health__item${overdue ? ' pet-health__item--overdue' : ''}">
+          <strong>${escapeHtml(vaccination.name)}</strong>
+          <span>${formatDate(vaccination.date)}</span>
+          ${vaccination.next_due ? `<span>${overdue ? 'Overdue since' : 'Next due'} ${formatDate(vaccination.next_due)}</span>` : ''}
+        </li>
+      `;
+    });
+
+    const medications = record.medications.map(
+      (medication) => `
+        <li class="pet-health__item">
+          <strong>${escapeHtml(medication.name)}</strong>
+          ${[medication.dosage, medication.frequency].map((text) => (text ? `<span>${escapeHtml(text)}</span>` : '')).join('')}
+        </li>
+      `
+    );
+
+    const vet = [record.vet_name, record.vet_clinic].filter(Boolean).map(escapeHtml).join(', ');
+    const vetContact = [
+      record.vet_phone ? `<a href="tel:${escapeHtml(record.vet_phone)}">${escapeHtml(record.vet_phone)}</a>` : '',
+      record.vet_email ? `<a href="mailto:${escapeHtml(record.vet_email)}">${escapeHtml(record.vet_email)}</a>` : '',
+    ].filter(Boolean);
+
+    return `
+      ${renderSection('Vaccinations', vaccinations.length ? `<ul class="pet-health__list">${vaccinations.join('')}</ul>` : '')}
+      ${renderSection('Medications', medications.length ? `<ul class="pet-health__list">${medications.join('')}</ul>` : '')}
+      ${renderSection(
+        'Conditions',
+        record.conditions.map((condition) => `<span class="pet-card__badge">${escapeHtml(condition)}</span>`).join('')
+      )}
+      ${renderSection('Vet', vet || vetContact.length ? `<p>${vet}</p><p>${vetContact.join(' · ')}</p>` : '')}
+      ${renderSection('Notes', record.notes ? `<p class="pet-health__notes">${escapeHtml(record.notes)}</p>` : '')}
+      ${this.readOnly ? '' : '<button type="button" class="button button-secondary pet-health__button" data-action="edit">Edit health record</button>'}
+    `;
+  }
+
+  /**
+   * @param {HealthRecord} record
+   * @returns {string}
+   */
+  #renderForm(record) {
+    const textField = (/** @type {'vet_name' | 'vet_clinic' | 'vet_phone' | 'vet_email'} */ name, /** @type {string} */ label, type = 'text') => `
+      <label class="pet-health__field">
+        <span>${label}</span>
+        <input type="${type}" name="${name}" value="${escapeHtml(record[name] || '')}">
+        <span class="pet-health__error" data-error-for="${name}" hidden></span>
+      </label>
+    `;
+
+    return `
+      <form class="pet-health__form" novalidate>
+        <fieldset class="pet-health__fieldset" data-list="vaccinations">
+          <legend>Vaccinations</legend>
+          ${record.vaccinations.map((entry, index) => renderListRow('vaccinations', entry, index)).join('')}
+          <button type="button" class="pet-health__link" data-action="add-row" data-list="vaccinations">+ Add vaccination</button>
+        </fieldset>
+
+        <fieldset class="pet-health__fieldset" data-list="medications">
+          <legend>Medications</legend>
+          ${record.medications.map((entry, index) => renderListRow('medications', entry, index)).join('')}
+          <button type="button" class="pet-health__link" data-action="add-row" data-list="medications">+ Add medication</button>
+        </fieldset>
+
+        <label class="pet-health__field">
+          <span>Conditions</span>
+          <input type="text" name="conditions" value="${escapeHtml(record.conditions.join(', '))}" placeholder="e.g. Arthritis, Sensitive stomach">
+          <span class="pet-health__error" data-error-for="conditions" hidden></span>
+        </label>
+
+        <fieldset class="pet-health__fieldset">
+          <legend>Vet</legend>
+          ${textField('vet_name', 'Name')}
+          ${textField('vet_clinic', 'Clinic')}
+          ${textField('vet_phone', 'Phone', 'tel')}
+          ${textField('vet_email', 'Email', 'email')}
+        </fieldset>
+
+        <label class="pet-health__field">
+          <span>Notes</span>
+          <textarea name="notes" rows="3">${escapeHtml(record.notes)}</textarea>
+          <span class="pet-health__error" data-error-for="notes" hidden></span>
+        </label>
+
+        <p class="pet-health__error" data-error-for="form" hidden></p>
+
+        <div class="pet-health__actions">
+          <button type="submit" class="button pet-health__button">Save</button>
+          <button type="button" class="button button-secondary pet-health__button" data-action="cancel">Cancel</button>
+          ${this.#record ? '<button type="button" class="pet-health__link pet-health__link--danger" data-action="delete">Delete record</button>' : ''}
+        </div>
+      </form>
+    `;
+  }
+
+  /**
+   * Read the form back into health record data
+   * @param {HTMLFormElement} form
+   * @returns {Record<string, any>}
+   */
+  #getFormData(form) {
+    const formData = new FormData(form);
+
+    /** @param {'vaccinations' | 'medications'} list */
+    const readRows = (list) =>
+      [...form.querySelectorAll(`[data-row="${list}"]`)]
+        .map((row) =>
+          Object.fromEntries(
+            LIST_COLUMNS[list].map(({ key }) => [key, /** @type {HTMLInputElement} */ (row.querySelector(`[data-key="${key}"]`)).value.trim()])
+          )
+        )
+        .map((entry) => (list === 'vaccinations' && !entry.next_due ? { name: entry.name, date: entry.date } : entry));
+
+    return {
+      vaccinations: readRows('vaccinations'),
+      medications: readRows('medications'),
+      conditions: String(formData.get('conditions') || '')
+        .split(',')
+        .map((condition) => condition.trim())
+        .filter(Boolean),
+      vet_name: formData.get('vet_name') || '',
+      vet_clinic: formData.get('vet_clinic') || '',
+      vet_phone: formData.get('vet_phone') || '',
+      vet_email: formData.get('vet_email') || '',
+      notes: formData.get('notes') || '',
+    };
+  }
+
+  /**
+   * Show errors next to their fields; errors for rows use the row's input names, e.g. "vaccinations.0.date"
+   * @param {HTMLFormElement} form
+   * @param {Record<string, string>} errors
+   */
+  #showErrors(form, errors) {
+    form.querySelectorAll('[data-error-for]').forEach((element) => {
+      const message = errors[element.getAttribute('data-error-for') || ''];
+      element.textContent = message || '';
+      element.toggleAttribute('hidden', !message);
+    });
+
+    const unplaced = Object.entries(errors).filter(([key]) => !form.querySelector(`[data-error-for="${key}"]`));
+    if (unplaced.length > 0) {
+      const formError = /** @type {HTMLElement} */ (form.querySelector('[data-error-for="form"]'));
+      formError.textContent = unplaced.map(([, message]) => message).join(' ');
+      formError.hidden = false;
+    }
+  }
+
+  /**
+   * @param {SubmitEvent} event
+   */
+  #onSubmit = async (event) => {
+    event.preventDefault();
+    const form = /** @type {HTMLFormElement} */ (event.target);
+
+    // Rows left blank are dropped, and errors for the rest are keyed by position
+    form.querySelectorAll('[data-row]').forEach((row) => {
+      const inputs = [...row.querySelectorAll('input')];
+      if (inputs.every((input) => !input.value.trim())) row.remove();
+    });
+    renumberRows(form);
+
+    const validation = validateHealthRecord(this.#getFormData(form));
+    this.#showErrors(form, validation.errors);
+    if (!validation.valid) return;
+
+    const submitButton = /** @type {HTMLButtonElement} */ (form.querySelector('[type="submit"]'));
+    submitButton.disabled = true;
+
+    try {
+      const result = this.#record
+        ? await updateHealthRecord(this.petId, validation.value)
+        : await createHealthRecord(this.petId, validation.value);
+
+      this.#record = result.record;
+      this.#editing = false;
+      this.#render();
+    } catch (error) {
+      console.error('Error saving health record:', error);
+      submitButton.disabled = false;
+
+      if (error instanceof PetApiError && error.fieldErrors) {
+        this.#showErrors(form, error.fieldErrors);
+      } else {
+        this.#showErrors(form, { form: getErrorMessage(error, "We couldn't save the health record. Please try again.") });
+      }
+    }
+  };
+
+  /**
+   * @param {MouseEvent} event
+   */
+  #onClick = async (event) => {
+    const button = /** @type {HTMLElement | null} */ (/** @type {Element} */ (event.target).closest('[data-action]'));
+    if (!button) return;
+
+    switch (button.dataset.action) {
+      case 'retry':
+        this.load();
+        break;
+
+      case 'edit':
+        this.#editing = true;
+        this.#render();
+        break;
+
+      case 'cancel':
+        this.#editing = false;
+        this.#render();
+        break;
+
+      case 'add-row': {
+        const list = /** @type {'vaccinations' | 'medications'} */ (button.dataset.list);
+        const index = this.querySelectorAll(`[data-row="${list}"]`).length;
+        button.insertAdjacentHTML('beforebegin', renderListRow(list, {}, index));
+        break;
+      }
+
+      case 'remove-row':
+        button.closest('[data-row]')?.remove();
+        break;
+
+      case 'delete':
+        if (!window.confirm('Delete this health record? This cannot be undone.')) return;
+
+        try {
+          await deleteHealthRecord(this.petId);
+          this.#record = null;
+          this.#editing = false;
+          this.#render();
+        } catch (error) {
+          console.error('Error deleting health record:', error);
+          const form = this.querySelector('form');
+          if (form) this.#showErrors(form, { form: getErrorMessage(error, "We couldn't delete the health record. Please try again.") });
+        }
+        break;
+    }
+  };
+}
+
+/**
+ * Render one vaccination or medication row of the edit form
+ * @param {'vaccinations' | 'medications'} list
+ * @param {Record<string, string>} entry
+ * @param {number} index
+ * @returns {string}
+ */
+function renderListRow(list, entry, index) {
+  const fields = LIST_COLUMNS[list].map(
+    ({ key, label, type }) => `
+      <label class="pet-health__field">
+        <span>${label}</span>
+        <input type="${type}" data-key="${key}" value="${escapeHtml(entry[key] || '')}">
+        <span class="pet-health__error" data-error-for="${list}.${index}.${key}" hidden></span>
+      </label>
+    `
+  );
+
+  return `
+    <div class="pet-health__row" data-row="${list}">
+      ${fields.join('')}
+      <button type="button" class="pet-health__link" data-action="remove-row" aria-label="Remove">✕</button>
+    </div>
+  `;
+}
+
+/**
+ * Point each row's error slots at its current position, after rows were removed
+ * @param {HTMLFormElement} form
+ */
+function renumberRows(form) {
+  /** @type {Array<'vaccinations' | 'medications'>} */ (['vaccinations', 'medications']).forEach((list) => {
+    form.querySelectorAll(`[data-row="${list}"]`).forEach((row, index) => {
+      row.querySelectorAll('[data-error-for]').forEach((element) => {
+        const key = element.getAttribute('data-error-for')?.split('.').pop();
+        element.setAttribute('data-error-for', `${list}.${index}.${key}`);
+      });
+    });
+  });
+}
+
+/**
+ * Render a titled part of the record, or nothing when it's empty
+ * @param {string} title
+ * @param {string} content
+ * @returns {string}
+ */
+function renderSection(title, content) {
+  if (!content) return '';
+
+  return `
+    <div class="pet-health__section">
+      <h4 class="pet-health__title">${title}</h4>
+      ${content}
+    </div>
+  `;
+}
+
+/**
+ * Format a YYYY-MM-DD date, e.g. "Mar 3, 2025"
+ * @param {string} date
+ * @returns {string}
+ */
+function formatDate(date) {
+  return new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+if (!customElements.get('pet-health-record')) {
+  customElements.define('pet-health-record', PetHealthRecord);
+}
@@ -0,0 +1,131 @@
+import { getSpecies } from '@theme/pet-species';
+
+/**
+ * @typedef {'puppy' | 'kitten' | 'young' | 'adult' | 'senior'} LifeStage
+ */
+
+/** @type {Record<LifeStage, string>} Customer-facing names, used on pet cards and in cart line item properties */
+export const LIFE_STAGE_LABELS = {
+  puppy: 'Puppy',
+  kitten: 'Kitten',
+  young: 'Young',
+  adult: 'Adult',
+  senior: 'Senior',
+};
+
+/** @type {Record<string, LifeStage>} What the young of each species are called */
+const YOUNG_LIFE_STAGES = {
+  dog: 'puppy',
+  cat: 'kitten',
+};
+
+/**
+ * Get a pet's age in whole months
+ * @param {string | undefined} birthday - YYYY-MM-DD
+ * @param {Date} [today]
+ * @returns {number | null} Null when the birthday is missing or invalid
+ */
+export function getAgeInMonths(birthday, today = new Date()) {
+  const date = birthday ? new Date(`${birthday}T00:00:00`) : null;
+  if (!date || Number.isNaN(date.getTime())) return null;
+
+  const months = (today.getFullYear() - date.getFullYear()) * 12 + today.getMonth() - date.getMonth();
+  return Math.max(0, today.getDate() < date.getDate() ? months - 1 : months);
+}
+
+/**
+ * Classify a pet as young, adult or senior from its species, size and birthday
+ * @param {{ type?: string, weight?: string, birthday?: string }} pet
+ * @param {Date} [today]
+ * @returns {LifeStage | null} Null when the birthday is unknown or the species has no life stages
+ */
+export function getLifeStage(pet, today = new Date()) {
+  const ageInMonths = getAgeInMonths(pet.birthday, today);
+  if (ageInMonths === null) return null;
+
+  const cutoffs = getCutoffs(pet);
+  if (!cutoffs) return null;
+
+  if (ageInMonths < cutoffs.adultFrom) return YOUNG_LIFE_STAGES[pet.type ?? ''] ?? 'young';
+  if (ageInMonths >= cutoffs.seniorFrom) return 'senior';
+  return 'adult';
+}
+
+/**
+ * Get the ages at which a pet becomes an adult and a senior
+ * The pet's weight class can override its species' ages, e.g. for large dogs.
+ * @param {{ type?: string, weight?: string }} pet
+ * @returns {{ adultFrom: number, seniorFrom: number } | null}
+ */
+function getCutoffs(pet) {
+  const species = getSpecies(pet.type);
+  if (!species) return null;
+
+  const weightClass = species.weight_classes.find((weight) => weight.value === pet.weight);
+  const adultFrom = weightClass?.adult_from_months ?? species.adult_from_months;
+  const seniorFrom = weightClass?.senior_from_months ?? species.senior_from_months;
+
+  if (typeof adultFrom !== 'number' || typeof seniorFrom !== 'number') return null;
+
+  return { adultFrom, seniorFrom };
+}
+
+/**
+ * Format an age, e.g. "2 yrs 3 mo", "1 yr" or "5 mo"
+ * @param {number} ageInMonths
+ * @returns {string}
+ */
+export function formatAge(ageInMonths) {
+  const years = Math.floor(ageInMonths / 12);
+  const months = ageInMonths % 12;
+
+  if (years === 0) return `${months} mo`;
+
+  const yearsText = `${years} ${years === 1 ? 'yr' : 'yrs'}`;
+  return months > 0 ? `${yearsText} ${months} mo` : yearsText;
+}
+
+/**
+ * Describe a pet's age and life stage, e.g. "2 yrs 3 mo · Adult"
+ * @param {{ type?: string, weight?: string, birthday?: string }} pet
+ * @param {Date} [today]
+ * @returns {string} Empty when the birthday is unknown
+ */
+export function formatPetAge(pet, today = new Date()) {
+  const ageInMonths = getAgeInMonths(pet.birthday, today);
+  const lifeStage = getLifeStage(pet, today);
+  if (ageInMonths === null || !lifeStage) return '';
+
+  return `${formatAge(ageInMonths)} · ${LIFE_STAGE_LABELS[lifeStage]}`;
+}
+
+/**
+ * Whether a product's life stages (custom.life_stages) suit a pet
+ * Products without life stages, and pets without a birthday, always match.
+ * @param {{ type?: string, weight?: string, birthday?: string }} pet
+ * @param {string[]} productLifeStages
+ * @param {Date} [today]
+ * @returns {boolean}
+ */
+export function matchesLifeStage(pet, productLifeStages, today = new Date()) {
+  const lifeStage = getLifeStage(pet, today);
+  if (!lifeStage || productLifeStages.length === 0) return true;
+
+  return productLifeStages.includes(lifeStage);
+}
+
+/**
+ * Parse the life stages a product declares, joined with commas by Liquid
+ * @param {string | null | undefined} value - e.g. "Puppy, kitten"
+ * @returns {LifeStage[]}
+ */
+export function parseLifeStages(value) {
+  if (!value) return [];
+
+  return /** @type {LifeStage[]} */ (
+    value
+      .split(',')
+      .map((stage) => stage.trim().toLowerCase())
+      .filter((stage) => stage in LIFE_STAGE_LABELS)
+  );
+}
@@ -1,21 +1,44 @@
 import { Component } from '@theme/component';
+import { PetApiError, getErrorMessage, deletePet, sharePet, acceptPetShare, exportPetData } from '@theme/pet-api';
+import { petStore } from '@theme/pet-store';
+import { formatPetAge } from '@theme/pet-life-stage';
+import { getSpeciesIcon, formatWeightClass, getAllergen } from '@theme/pet-species';
+import { formatWeight, parseWeightHistory } from '@theme/pet-weight';
+
+/** Query parameter carrying a share link's token */
+const SHARE_TOKEN_PARAM = 'pet_share';
 
 /**
  * Pet List Component
- * Displays customer's pets with edit and delete functionality
+ * Displays customer's pets with edit, delete and share functionality
+ * Pets shared with the customer are read-only: only their owner can edit, share or delete them.
  */
 export class PetList extends Component {
   constructor() {
     super();
     this.pets = [];
     this.petToDelete = null;
+    this.unsubscribeFromPets = null;
   }
 
   connectedCallback() {
     super.connectedCallback();
+
+    // Re-render whenever pets are added, edited or removed anywhere on the page or in another tab
+    this.unsubscribeFromPets = petStore.subscribe((pets) => {
+      if (this.getAttribute('customer-logged-in') !== 'true') return;
+      this.pets = pets;
+      this.renderPets();
+    });
+
     this.loadPets();
   }
 
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.unsubscribeFromPets?.();
+  }
+
   /**
    * Load pets from Shopify metaobjects
    */
@@ -35,61 +58,21 @@ export class PetList extends Component {
     console.log('Loading pets for customer:', customerId);
 
     try {
-      // Fetch from Shopify metaobjects via app endpoint
-      const response = await fetch(`https://pet-profile-app.vercel.app/apps/pet-profile/list?customer_id=${customerId}`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        }
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        this.pets = data.pets || [];
-        console.log('✅ Loaded', this.pets.length, 'pets from Shopify metaobjects');
-
-        // Update localStorage cache
-        this.updateLocalStorageCache(this.pets, customerId);
-
-        this.renderPets();
-        return;
-      } else {
-        throw new Error('API endpoint not available');
-      }
+      // Cached pets show straight away; the store refreshes them from Shopify in the background
+      this.pets = await petStore.load(customerId);
+      console.log('✅ Loaded', this.pets.length, 'pets');
     } catch (error) {
-      console.warn('⚠️ API endpoint not available, loading from localStorage cache');
-
-      // Fallback to localStorage - filter by customer ID
-      const allPets = JSON.parse(localStorage.getItem('customer_pets') || '[]');
-      this.pets = allPets.filter(pet =>
-        !pet.customer_id || pet.customer_id === customerId
-      );
-
-      console.log('📦 Loaded', this.pets.length, 'pets from localStorage cache');
-      console.log('💡 These pets may not be synced. Set up the API endpoint for cross-device sync.');
+      console.warn('⚠️ API endpoint not available and no cached pets to show');
+      this.pets = [];
     }
 
     this.renderPets();
-  }
-
-  /**
-   * Update localStorage cache with pets from API
-   * @param {Array} pets
-   * @param {string} customerId
-   */
-  updateLocalStorageCache(pets, customerId) {
-    // Get all pets from localStorage
-    const allPets = JSON.parse(localStorage.getItem('customer_pets') || '[]');
 
-    // Remove this customer's old pets
-    const otherPets = allPets.filter(p => p.customer_id !== customerId);
-
-    // Add the fresh pets from API
-    const updatedPets = [...otherPets, ...pets];
-
-    localStorage.setItem('customer_pets', JSON.stringify(updatedPets));
-    console.log('💾 Updated localStorage cache with', pets.length, 'pets');
+    // Opened from a share link; the new pet arrives through the store subscription
+    const shareToken = new URL(window.location.href).searchParams.get(SHARE_TOKEN_PARAM);
+    if (shareToken) {
+      this.acceptShare(shareToken);
+    }
   }
 
   /**
@@ -155,22 +138,14 @@ export class PetList extends Component {
    * @returns {string} HTML string
    */
   createPetCard(pet) {
-    const typeIcon = pet.type === 'cat' ? '🐱' : '🐕';
-    const defaultPlaceholder = pet.type === 'cat' ? '🐱' : '🐕';
-    const weightLabels = {
-      'tiny': 'Tiny but mighty (<10lbs)',
-      'medium': 'Perfect medium (25-50lbs)',
-      'large': 'Large and in charge (50+lbs)',
-      'cat': 'One size fits all'
-    };
-    const weightLabel = weightLabels[pet.weight] || pet.weight;
-
-
-    const allergyIcons = {
-      'beef': '🥩',
-      'chicken': '🍗',
-      'lamb': '🐑',
-      'turkey': '🦃'
+    const typeIcon = this.escapeHtml(getSpeciesIcon(pet.type));
+    const defaultPlaceholder = typeIcon;
+    const weightLabel = this.escapeHtml(formatWeightClass(pet.type, pet.weight));
+
+    const boostLabels = {
+      'joint_support': '🦴 Joint support',
+      'gut_health': '🌿 Gut health',
+      'probiotic': '🦠 Pre + pro biotic'
     };
 
     const birthdayFormatted = pet.birthday ? new Date(pet.birthday).toLocaleDateString('en-US', {
@@ -178,6 +153,8 @@ export class PetList extends Component {
       month: 'long',
       day: 'numeric'
     }) : '';
+    const ageFormatted = formatPetAge(pet);
+    const isShared = pet.role === 'shared';
 
     // Image rendering
     let imageHtml = '';
@@ -203,71 +180,154 @@ export class PetList extends Component {
     }
 
     return `
-      <div class="pet-card" data-pet-id="${pet.id}">
+      <div class="pet-card${isShared ? ' pet-card--shared' : ''}" data-pet-id="${pet.id}">
         ${imageHtml}
         <div class="pet-card__header">
           <h3 class="pet-card__name">
             <span class="pet-card__type-icon">${typeIcon}</span>
             ${this.escapeHtml(pet.name)}
+            ${isShared ? '<span class="pet-card__shared-label">Shared with you</span>' : ''}
           </h3>
           <div class="pet-card__actions">
-            <button
-              class="pet-card__action pet-card__action--edit"
-              data-pet-id="${pet.id}"
-              aria-label="Edit ${this.escapeHtml(pet.name)}"
-              title="Edit"
-            >
-              ✏️
-            </button>
-            <button
-              class="pet-card__action pet-card__action--delete"
-              data-pet-id="${pet.id}"
-              aria-label="Delete ${this.escapeHtml(pet.name)}"
-              title="Delete"
-            >
-              🗑️
-            </button>
+            ${isShared ? '' : `
+              <button
+                class="pet-card__action pet-card__action--edit"
+                data-pet-id="${pet.id}"
+                aria-label="Edit ${this.escapeHtml(pet.name)}"
+                title="Edit"
+              >
+                ✏️
+              </button>
+              <button
+                class="pet-card__action pet-card__action--share"
+                data-pet-id="${pet.id}"
+                aria-label="Share ${this.escapeHtml(pet.name)}"
+                title="Share with your household"
+              >
+                🔗
+              </button>
+              <button
+                class="pet-card__action pet-card__action--delete"
+                data-pet-id="${pet.id}"
+                aria-label="Delete ${this.escapeHtml(pet.name)}"
+                title="Delete"
+              >
+                🗑️
+              </button>
+            `}
           </div>
         </div>
 
-        <div class="pet-card__info">
-          ${pet.breed ? `
-            <div class="pet-card__info-row">
-              <span class="pet-card__info-label">Breed:</span>
-              <span class="pet-card__info-value">${this.escapeHtml(pet.breed)}</span>
-            </div>
-          ` : ''}
-
-          ${birthdayFormatted ? `
-            <div class="pet-card__info-row">
-              <span class="pet-card__info-label">Birthday:</span>
-              <span class="pet-card__info-value">${birthdayFormatted}</span>
-            </div>
-          ` : ''}
-
-          ${pet.weight ? `
-            <div class="pet-card__info-row">
-              <span class="pet-card__info-label">Size:</span>
-              <span class="pet-card__info-value">${weightLabel}</span>
-            </div>
-          ` : ''}
+        <div class="pet-card__tabs" role="tablist">
+          <button type="button" class="pet-card__tab" role="tab" data-tab="profile" aria-selected="true">Profile</button>
+          <button type="button" class="pet-card__tab" role="tab" data-tab="health" aria-selected="false">Health</button>
         </div>
 
-        <div class="pet-card__badges">
-          ${pet.allergies && pet.allergies.length > 0 ?
-            pet.allergies.map(allergy => `
-              <span class="pet-card__badge pet-card__badge--allergy">
-                ${allergyIcons[allergy] || ''} No ${this.escapeHtml(allergy)}
+        <div class="pet-card__panel" role="tabpanel" data-panel="profile">
+          <div class="pet-card__info">
+            ${pet.breed ? `
+              <div class="pet-card__info-row">
+                <span class="pet-card__info-label">Breed:</span>
+                <span class="pet-card__info-value">${this.escapeHtml(pet.breed)}</span>
+              </div>
+            ` : ''}
+
+            ${birthdayFormatted ? `
+              <div class="pet-card__info-row">
+                <span class="pet-card__info-label">Birthday:</span>
+                <span class="pet-card__info-value">${birthdayFormatted}</span>
+              </div>
+            ` : ''}
+
+            ${ageFormatted ? `
+              <div class="pet-card__info-row">
+                <span class="pet-card__info-label">Age:</span>
+                <span class="pet-card__info-value">${ageFormatted}</span>
+              </div>
+            ` : ''}
+
+            ${pet.weight_kg ? `
+              <div class="pet-card__info-row">
+                <span class="pet-card__info-label">Weight:</span>
+                <span class="pet-card__info-value">${this.formatWeightWithChange(pet)}</span>
+              </div>
+            ` : ''}
+
+            ${pet.weight ? `
+              <div class="pet-card__info-row">
+                <span class="pet-card__info-label">Size:</span>
+                <span class="pet-card__info-value">${weightLabel}</span>
+              </div>
+            ` : ''}
+
+            ${this.createWeightHistory(pet)}
+          </div>
+
+          <div class="pet-card__badges">
+            ${pet.allergies && pet.allergies.length > 0 ?
+              pet.allergies.map(allergy => `
+                <span class="pet-card__badge pet-card__badge--allergy">
+                  ${this.escapeHtml(getAllergen(allergy).icon || '')} No ${this.escapeHtml(getAllergen(allergy).label.toLowerCase())}
+                </span>
+              `).join('') : ''
+            }
+
+            ${pet.health_boost ? `
+              <span class="pet-card__badge pet-card__badge--boost">
+                ${boostLabels[pet.health_boost] || this.escapeHtml(pet.health_boost)}
               </span>
-            `).join('') : ''
-          }
+            ` : ''}
+          </div>
+        </div>
 
-          
+        <div class="pet-card__panel" role="tabpanel" data-panel="health" hidden>
+          <pet-health-record pet-id="${this.escapeHtml(pet.id)}"${isShared ? ' read-only' : ''}></pet-health-record>
         </div>
       </div>
     `;
   }
 
+  /**
+   * Format the pet's weight with the change since the previous weigh-in, e.g. "24.5 lb (+1.2 lb since Mar 3)"
+   * @param {Object} pet - Pet data
+   * @returns {string}
+   */
+  formatWeightWithChange(pet) {
+    const history = parseWeightHistory(pet.weight_history);
+    const previous = history.length > 1 ? history[history.length - 2] : null;
+    const weight = formatWeight(Number(pet.weight_kg));
+
+    const change = previous ? Number(pet.weight_kg) - previous.weight_kg : 0;
+    if (!previous || Math.abs(change) < 0.05) return weight;
+
+    const since = new Date(`${previous.date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    return `${weight} (${change > 0 ? '+' : '−'}${formatWeight(Math.abs(change))} since ${since})`;
+  }
+
+  /**
+   * Create HTML for the list of past weigh-ins, newest first
+   * @param {Object} pet - Pet data
+   * @returns {string} Empty until the weight has changed at least once
+   */
+  createWeightHistory(pet) {
+    const history = parseWeightHistory(pet.weight_history);
+    if (history.length < 2) return '';
+
+    const rows = [...history].reverse().map(entry => `
+      <li class="pet-card__weight-history-entry">
+        <span>${new Date(`${entry.date}T00:00:00`).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}</span>
+        <span>${formatWeight(entry.weight_kg)}</span>
+      </li>
+    `).join('');
+
+    return `
+      <details class="pet-card__weight-history">
+        <summary>Weight history</summary>
+        <ul class="pet-card__weight-history-list">${rows}</ul>
+      </details>
+    `;
+  }
+
   /**
    * Escape HTML to prevent XSS
    * @param {string} text
@@ -298,6 +358,25 @@ export class PetList extends Component {
    * Attach event listeners to card actions
    */
   attachCardEventListeners() {
+    // Profile/Health tabs; the health record loads the first time its tab opens
+    this.querySelectorAll('.pet-card__tab').forEach(tab => {
+      tab.addEventListener('click', (e) => {
+        const card = e.currentTarget.closest('.pet-card');
+        const selected = e.currentTarget.dataset.tab;
+
+        card.querySelectorAll('.pet-card__tab').forEach(button => {
+          button.setAttribute('aria-selected', String(button.dataset.tab === selected));
+        });
+        card.querySelectorAll('.pet-card__panel').forEach(panel => {
+          panel.hidden = panel.dataset.panel !== selected;
+        });
+
+        if (selected === 'health') {
+          card.querySelector('pet-health-record')?.load();
+        }
+      });
+    });
+
     // Edit buttons
     this.querySelectorAll('.pet-card__action--edit').forEach(button => {
       button.addEventListener('click', (e) => {
@@ -306,6 +385,14 @@ export class PetList extends Component {
       });
     });
 
+    // Share buttons
+    this.querySelectorAll('.pet-card__action--share').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const petId = e.currentTarget.dataset.petId;
+        this.handleShare(petId);
+      });
+    });
+
     // Delete buttons
     this.querySelectorAll('.pet-card__action--delete').forEach(button => {
       button.addEventListener('click', (e) => {
@@ -339,12 +426,83 @@ export class PetList extends Component {
     // Store pet data in sessionStorage for the edit page
     sessionStorage.setItem('edit_pet', JSON.stringify(pet));
 
-    // Redirect to edit page (you can customize this URL)
-    // For now, we'll just show an alert
-    alert(`Edit functionality coming soon!\n\nPet: ${pet.name}\nID: ${pet.id}`);
+    // Redirect to the page holding the stepper or form, which picks up edit_pet
+    const editUrl = new URL(this.getAttribute('edit-pet-url') || window.location.pathname, window.location.origin);
+    editUrl.searchParams.set('edit_pet', pet.id);
+    window.location.href = editUrl.toString();
+  }
 
-    // In production, redirect to edit page:
-    // window.location.href = `/pages/edit-pet?id=${petId}`;
+  /**
+   * Handle share pet: create a share link and copy it, or offer it to the share sheet on mobile
+   * @param {string} petId
+   */
+  async handleShare(petId) {
+    const pet = this.pets.find(p => String(p.id) === String(petId));
+    if (!pet) return;
+
+    try {
+      const { token } = await sharePet(pet.id);
+
+      // The link opens this page, which accepts the share for whoever is signed in
+      const shareUrl = new URL(window.location.pathname, window.location.origin);
+      shareUrl.searchParams.set(SHARE_TOKEN_PARAM, token);
+
+      if (navigator.share) {
+        await navigator.share({ title: `${pet.name}'s pet profile`, url: shareUrl.toString() });
+      } else {
+        await navigator.clipboard.writeText(shareUrl.toString());
+        this.showToast(`Share link for ${pet.name} copied. It works for 7 days.`);
+      }
+    } catch (error) {
+      // Closing the share sheet isn't an error
+      if (error.name === 'AbortError') return;
+
+      console.error('Error sharing pet:', error);
+      this.showToast(getErrorMessage(error, `Couldn't create a share link for ${pet.name}. Please try again.`), { error: true });
+    }
+  }
+
+  /**
+   * Accept a share link this page was opened with, then drop it from the URL
+   * @param {string} token
+   */
+  async acceptShare(token) {
+    const url = new URL(window.location.href);
+    url.searchParams.delete(SHARE_TOKEN_PARAM);
+    window.history.replaceState(window.history.state, '', url.toString());
+
+    try {
+      await acceptPetShare(token);
+      await petStore.revalidate();
+      this.showToast('The shared pet was added to your pets');
+    } catch (error) {
+      console.error('Error accepting pet share:', error);
+      this.showToast(getErrorMessage(error, "Couldn't add the shared pet. Please try again."), { error: true });
+    }
+  }
+
+  /**
+   * Download the customer's pet data as a JSON file
+   */
+  async downloadPetData() {
+    const button = this.refs.exportButton;
+    if (button) button.disabled = true;
+
+    try {
+      const petData = await exportPetData();
+      const url = URL.createObjectURL(new Blob([JSON.stringify(petData, null, 2)], { type: 'application/json' }));
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'my-pets-data.json';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting pet data:', error);
+      this.showToast(getErrorMessage(error, "Couldn't download your pets' data. Please try again."), { error: true });
+    } finally {
+      if (button) button.disabled = false;
+    }
   }
 
   /**
@@ -353,7 +511,7 @@ export class PetList extends Component {
    */
   handleDelete(petId) {
     const pet = this.pets.find(p => String(p.id) === String(petId));
-    if (!pet) return;
+    if (!pet || pet.role === 'shared') return;
 
     this.petToDelete = pet;
     this.showDeleteModal();
@@ -440,77 +598,55 @@ export class PetList extends Component {
 
     try {
       // Delete from Shopify metaobject via app endpoint
-      // URL-encode the petId since it contains slashes (gid://shopify/Metaobject/...)
-      const encodedPetId = encodeURIComponent(petId);
-      const response = await fetch(`https://pet-profile-app.vercel.app/apps/pet-profile/delete/${encodedPetId}`, {
-        method: 'DELETE',
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (response.ok) {
-        console.log('✅ Pet deleted from Shopify metaobject:', petId);
-
-        // Also remove from localStorage cache
-        this.deletePetFromLocalStorage(petId);
-
-        // Remove from local array and re-render
-        this.pets = this.pets.filter(p => String(p.id) !== String(petId));
-        this.renderPets();
-
-        this.showDeleteSuccess(petName);
+      await deletePet(petId);
+      console.log('✅ Pet deleted from Shopify metaobject:', petId);
+    } catch (error) {
+      // A pet the app no longer has is still removed here; any other refusal keeps it
+      if (error instanceof PetApiError && !error.isNetworkError && error.code !== 'not_found') {
+        console.error('Error deleting pet:', error);
+        this.showToast(getErrorMessage(error, `Couldn't delete ${petName}'s profile. Please try again.`), { error: true });
         return;
-      } else {
-        throw new Error('API endpoint not available');
       }
-    } catch (error) {
+
       console.warn('⚠️ API endpoint not available, deleting from localStorage only');
       console.warn('⚠️ This pet may still exist in Shopify metaobjects');
+    }
 
-      // Fallback: delete from localStorage only
-      this.deletePetFromLocalStorage(petId);
+    // Removing it from the store re-renders this list and updates pet selectors
+    petStore.remove(petId, this.getAttribute('customer-id'));
 
-      // Remove from local array and re-render
-      this.pets = this.pets.filter(p => String(p.id) !== String(petId));
-      this.renderPets();
-
-      this.showDeleteSuccess(petName);
-    }
+    this.showDeleteSuccess(petName);
   }
 
   /**
-   * Delete pet from localStorage cache
-   * @param {string} petId
+   * Show delete success message
+   * @param {string} petName
    */
-  deletePetFromLocalStorage(petId) {
-    const pets = JSON.parse(localStorage.getItem('customer_pets') || '[]');
-    const filteredPets = pets.filter(p => String(p.id) !== String(petId));
-    localStorage.setItem('customer_pets', JSON.stringify(filteredPets));
-    console.log('💾 Removed pet from localStorage cache');
+  showDeleteSuccess(petName) {
+    this.showToast(`${petName}'s profile deleted successfully`);
   }
 
   /**
-   * Show delete success message
-   * @param {string} petName
+   * Show a temporary message in the corner of the page
+   * @param {string} text
+   * @param {{ error?: boolean }} [options]
    */
-  showDeleteSuccess(petName) {
-    // Create a temporary success message
+  showToast(text, { error = false } = {}) {
     const message = document.createElement('div');
     message.className = 'pet-list__success-toast';
     message.style.cssText = `
       position: fixed;
       top: 20px;
       right: 20px;
-      background-color: #d4edda;
-      color: #155724;
+      background-color: ${error ? '#f8d7da' : '#d4edda'};
+      color: ${error ? '#721c24' : '#155724'};
       padding: 16px 24px;
       border-radius: 8px;
       box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
       z-index: 2000;
       animation: slideIn 0.3s ease;
     `;
-    message.textContent = `${petName}'s profile deleted successfully`;
+    message.textContent = text;
     document.body.appendChild(message);
 
     setTimeout(() => {
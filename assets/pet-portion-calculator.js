@@ -0,0 +1,173 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { petStore } from '@theme/pet-store';
+import { calculatePortion } from '@theme/pet-portion';
+import { toKilograms } from '@theme/pet-weight';
+
+/**
+ * @typedef {Object} VariantFoodData
+ * @property {number} kcal_per_cup
+ * @property {number} kcal_per_kg
+ * @property {number} bag_size
+ * @property {string | null} bag_size_unit
+ */
+
+/**
+ * @typedef {Object} PetPortionCalculatorRefs
+ * @property {HTMLElement} wrapper - Hidden until there is a pet and feeding data
+ * @property {HTMLElement} serving - The daily serving text
+ * @property {HTMLElement} bagDuration - The days per bag text
+ */
+
+/**
+ * Pet Portion Calculator Component
+ * Shows the daily serving of the selected variant for the customer's active pet, and how long a bag lasts.
+ * Follows the pet chosen in a pet selector and the variant chosen in the variant picker.
+ *
+ * @extends Component<PetPortionCalculatorRefs>
+ */
+export class PetPortionCalculator extends Component {
+  requiredRefs = ['wrapper', 'serving', 'bagDuration'];
+
+  /** @type {import('./pet-store').Pet | null} */
+  #pet = null;
+
+  /** @type {string | undefined} */
+  #variantId;
+
+  /** @type {Element | null} */
+  #variantUpdateTarget = null;
+
+  /** @type {(() => void) | null} */
+  #unsubscribeFromPets = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { customerId } = this.dataset;
+    if (!customerId) return;
+
+    this.#variantId = this.dataset.variantId;
+
+    this.#variantUpdateTarget = this.closest('.shopify-section, dialog');
+    this.#variantUpdateTarget?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+    document.addEventListener(ThemeEvents.petSelected, this.#onPetSelected);
+
+    // Edits to the pet's weight or birthday change the serving
+    this.#unsubscribeFromPets = petStore.subscribe(() => {
+      this.#pet = petStore.getActivePet(customerId);
+      this.#render();
+    });
+
+    this.#loadPet(customerId);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.#variantUpdateTarget?.removeEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+    document.removeEventListener(ThemeEvents.petSelected, this.#onPetSelected);
+    this.#unsubscribeFromPets?.();
+  }
+
+  /**
+   * Load the customer's pets and show the portion for the active one
+   * @param {string} customerId
+   */
+  async #loadPet(customerId) {
+    try {
+      await petStore.load(customerId);
+    } catch (error) {
+      console.warn('Could not load pets for the portion calculator:', error);
+    }
+
+    this.#pet = petStore.getActivePet(customerId);
+    this.#render();
+  }
+
+  /**
+   * @param {import('./events').PetSelectedEvent} event
+   */
+  #onPetSelected = (event) => {
+    this.#pet = event.detail.pet;
+    this.#render();
+  };
+
+  /**
+   * @param {import('./events').VariantUpdateEvent} event
+   */
+  #onVariantUpdate = (event) => {
+    const variant = event.detail.resource;
+    if (!variant) return;
+
+    this.#variantId = String(variant.id);
+    this.#render();
+  };
+
+  /**
+   * Get the feeding metafields of the selected variant
+   * @returns {import('./pet-portion').FoodData | null}
+   */
+  #getFoodData() {
+    if (!this.#variantId) return null;
+
+    /** @type {Record<string, VariantFoodData>} */
+    let variants;
+    try {
+      variants = JSON.parse(this.dataset.variants || '{}');
+    } catch (error) {
+      console.error('Error parsing portion calculator variants:', error);
+      return null;
+    }
+
+    const variant = variants[this.#variantId];
+    if (!variant) return null;
+
+    return {
+      kcalPerCup: Number(variant.kcal_per_cup),
+      kcalPerKg: Number(variant.kcal_per_kg),
+      bagSizeKg: (variant.bag_size_unit && toKilograms(Number(variant.bag_size), variant.bag_size_unit)) || 0,
+    };
+  }
+
+  /**
+   * Show the serving for the current pet and variant, or hide the calculator when either is missing
+   */
+  #render() {
+    const { wrapper, serving, bagDuration } = this.refs;
+    const food = this.#getFoodData();
+    const portion = this.#pet && food ? calculatePortion(this.#pet, food) : null;
+
+    wrapper.hidden = !portion;
+    if (!portion || !this.#pet) return;
+
+    serving.textContent = `${this.#pet.name} needs about ${formatCups(portion.dailyCups)} a day (${portion.dailyCalories} kcal).`;
+
+    bagDuration.hidden = portion.daysPerBag === null;
+    if (portion.daysPerBag === null) return;
+
+    const reorderDate = new Date();
+    reorderDate.setDate(reorderDate.getDate() + portion.daysPerBag);
+
+    bagDuration.textContent = `This bag lasts about ${portion.daysPerBag} days. Reorder around ${reorderDate.toLocaleDateString(
+      undefined,
+      { month: 'long', day: 'numeric' }
+    )}.`;
+  }
+}
+
+/**
+ * Format a quarter-cup amount, e.g. "1¾ cups"
+ * @param {number} cups
+ * @returns {string}
+ */
+function formatCups(cups) {
+  const whole = Math.floor(cups);
+  const fraction = ['', '¼', '½', '¾'][Math.round((cups - whole) * 4)] ?? '';
+  const amount = whole > 0 ? `${whole}${fraction}` : fraction;
+
+  return `${amount} ${cups > 1 ? 'cups' : 'cup'}`;
+}
+
+if (!customElements.get('pet-portion-calculator')) {
+  customElements.define('pet-portion-calculator', PetPortionCalculator);
+}
@@ -0,0 +1,79 @@
+import { getAgeInMonths, getLifeStage } from '@theme/pet-life-stage';
+import { getWeightClass } from '@theme/pet-species';
+
+/**
+ * @typedef {Object} FoodData
+ * @property {number} kcalPerCup - From the variant's custom.kcal_per_cup metafield
+ * @property {number} kcalPerKg - From the variant's custom.kcal_per_kg metafield
+ * @property {number} bagSizeKg - From the variant's custom.bag_size metafield, in kg
+ */
+
+/**
+ * @typedef {Object} Portion
+ * @property {number} dailyCalories - Rounded to the nearest 10 kcal
+ * @property {number} dailyCups - Rounded to the nearest quarter cup
+ * @property {number | null} daysPerBag - Whole days, or null when the bag size is unknown
+ */
+
+/**
+ * Estimate how many calories a pet needs a day
+ * Resting energy (70 × kg^0.75), from the pet's exact weight or else the typical weight of its
+ * weight class, times a factor for the pet's species and age. Pets without a birthday are treated as adults.
+ * @param {{ type?: string, weight?: string, weight_kg?: number | null, birthday?: string }} pet
+ * @param {Date} [today]
+ * @returns {number | null} Null when the weight is unknown or the species isn't a dog or cat
+ */
+export function getDailyCalories(pet, today = new Date()) {
+  const kilograms = Number(pet.weight_kg) || getWeightClass(pet.type, pet.weight)?.kilograms;
+  const activityFactor = getActivityFactor(pet, today);
+  if (!kilograms || !activityFactor) return null;
+
+  const restingCalories = 70 * kilograms ** 0.75;
+
+  return restingCalories * activityFactor;
+}
+
+/**
+ * Work out the daily serving and how long a bag lasts
+ * @param {{ type?: string, weight?: string, weight_kg?: number | null, birthday?: string }} pet
+ * @param {FoodData} food
+ * @param {Date} [today]
+ * @returns {Portion | null} Null when the pet's needs or the food's calories are unknown
+ */
+export function calculatePortion(pet, food, today = new Date()) {
+  const dailyCalories = getDailyCalories(pet, today);
+  if (!dailyCalories || !(food.kcalPerCup > 0)) return null;
+
+  const bagCalories = food.kcalPerKg > 0 && food.bagSizeKg > 0 ? food.kcalPerKg * food.bagSizeKg : null;
+
+  return {
+    dailyCalories: Math.round(dailyCalories / 10) * 10,
+    dailyCups: Math.max(0.25, Math.round((dailyCalories / food.kcalPerCup) * 4) / 4),
+    daysPerBag: bagCalories ? Math.floor(bagCalories / dailyCalories) : null,
+  };
+}
+
+/**
+ * Multiplier on resting energy for growing, adult and senior pets
+ * @param {{ type?: string, weight?: string, birthday?: string }} pet
+ * @param {Date} today
+ * @returns {number | null} Null for species other than dogs and cats, which these factors don't fit
+ */
+function getActivityFactor(pet, today) {
+  const lifeStage = getLifeStage(pet, today);
+
+  if (pet.type === 'cat') {
+    if (lifeStage === 'kitten') return 2.5;
+    if (lifeStage === 'senior') return 1.1;
+    return 1.2;
+  }
+
+  if (pet.type !== 'dog') return null;
+
+  if (lifeStage === 'puppy') {
+    const ageInMonths = getAgeInMonths(pet.birthday, today) ?? 0;
+    return ageInMonths < 4 ? 3 : 2;
+  }
+  if (lifeStage === 'senior') return 1.4;
+  return 1.6;
+}
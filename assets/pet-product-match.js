@@ -0,0 +1,79 @@
+import { parseProteins, getAllergyConflicts } from '@theme/pet-allergies';
+import { getLifeStage, parseLifeStages } from '@theme/pet-life-stage';
+
+/**
+ * @typedef {Object} PetProductData
+ * @property {string[]} petTypes - From custom.pet_types, empty when the product suits any pet
+ * @property {string[]} weightClasses - From custom.weight_classes, empty when the product suits any size
+ * @property {string[]} healthBoosts - From custom.health_boosts
+ * @property {string[]} proteins - From custom.proteins
+ * @property {string[]} lifeStages - From custom.life_stages, empty when the product suits any age
+ */
+
+/**
+ * Read the pet metafields a product card renders as data attributes
+ * @param {HTMLElement} productCard
+ * @returns {PetProductData}
+ */
+export function readPetProductData(productCard) {
+  const { petTypes, weightClasses, healthBoosts, productProteins, lifeStages } = productCard.dataset;
+
+  return {
+    petTypes: splitList(petTypes),
+    weightClasses: splitList(weightClasses),
+    healthBoosts: splitList(healthBoosts),
+    proteins: parseProteins(productProteins),
+    lifeStages: parseLifeStages(lifeStages)
+  };
+}
+
+/**
+ * Decide whether a product suits a pet and how well
+ * Products for another species or life stage, or containing one of the pet's allergens, are unsuitable.
+ * The rest are scored so products made for the pet's species, size, life stage and health boost come first.
+ * @param {import('./pet-store').Pet} pet
+ * @param {PetProductData} product
+ * @returns {{ suitable: boolean, score: number }}
+ */
+export function matchProductToPet(pet, product) {
+  if (product.petTypes.length > 0 && !product.petTypes.includes(pet.type)) {
+    return { suitable: false, score: 0 };
+  }
+
+  if (getAllergyConflicts(pet, product.proteins).length > 0) {
+    return { suitable: false, score: 0 };
+  }
+
+  const lifeStage = getLifeStage(pet);
+  if (lifeStage && product.lifeStages.length > 0 && !product.lifeStages.includes(lifeStage)) {
+    return { suitable: false, score: 0 };
+  }
+
+  let score = 0;
+
+  if (product.petTypes.includes(pet.type)) score += 2;
+
+  if (product.weightClasses.length > 0) {
+    score += pet.weight && product.weightClasses.includes(pet.weight) ? 2 : -1;
+  }
+
+  if (lifeStage && product.lifeStages.includes(lifeStage)) score += 2;
+
+  if (pet.health_boost && product.healthBoosts.includes(pet.health_boost)) score += 3;
+
+  return { suitable: true, score };
+}
+
+/**
+ * Split a comma separated metafield list into lowercase values
+ * @param {string | undefined} value
+ * @returns {string[]}
+ */
+function splitList(value) {
+  if (!value) return [];
+
+  return value
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+}
@@ -1,4 +1,6 @@
 import { Component } from '@theme/component';
+import { createPet, getErrorMessage } from '@theme/pet-api';
+import { petStore } from '@theme/pet-store';
 
 /**
  * Pet Profile Completion Component
@@ -62,7 +64,7 @@ export class PetProfileCompletion extends Component {
       this.showNotification('Completing your pet profile...', 'info');
 
       // Submit the pet profile
-      await this.submitPetProfile(customerId, petData);
+      const result = await this.submitPetProfile(petData);
 
       // Clear pending data after successful submission
       localStorage.removeItem('pending_pet_profile');
@@ -70,10 +72,8 @@ export class PetProfileCompletion extends Component {
       // Show success message
       this.showNotification('Pet profile created successfully! 🎉', 'success');
 
-      // Dispatch event for other components
-      window.dispatchEvent(new CustomEvent('petProfileCompleted', {
-        detail: { petData, customerId }
-      }));
+      // Share the new pet with the other pet components
+      petStore.add(result.pet || { ...petData, id: result.metaobject_id }, customerId);
 
       // Optionally redirect to pets page after a delay
       setTimeout(() => {
@@ -85,7 +85,7 @@ export class PetProfileCompletion extends Component {
       console.error('❌ Error completing pet profile:', error);
 
       // Show error to user
-      this.showNotification(`Failed to create pet profile: ${error.message}`, 'error');
+      this.showNotification(`Failed to create pet profile. ${getErrorMessage(error)}`, 'error');
 
       // Keep the pending data so user can try again
       console.log('⚠️ Pending data preserved for retry');
@@ -94,91 +94,27 @@ export class PetProfileCompletion extends Component {
 
   /**
    * Submit pet profile to the API
-   * @param {string} customerId - Customer ID
    * @param {Object} petData - Pet profile data
    * @param {string} imageDataUrl - Optional base64 image data URL
    */
-  async submitPetProfile(customerId, petData, imageDataUrl = null) {
+  async submitPetProfile(petData, imageDataUrl = null) {
     console.log('Submitting pending pet profile...');
     console.log('Pet data:', petData);
     console.log('Has image:', !!imageDataUrl);
 
-    // Include image_url in petData when available
+    // If there's an image, convert it to a Blob for the multipart upload
+    let image = null;
     if (imageDataUrl) {
-      petData.image_url = imageDataUrl;
-    }
-
-    // If there's an image, convert to FormData for multipart upload
-    if (imageDataUrl) {
-      const formData = new FormData();
-      formData.append('customer_id', customerId);
-      formData.append('pet_data', JSON.stringify(petData));
-
-      // Convert base64 data URL to Blob
       try {
-        const blob = await this.dataURLtoBlob(imageDataUrl);
-        formData.append('pet_image', blob, `${petData.name || 'pet'}-photo.jpg`);
+        image = await this.dataURLtoBlob(imageDataUrl);
       } catch (error) {
         console.warn('⚠️ Failed to process image, submitting without it:', error);
       }
-
-      const response = await fetch('https://pet-profile-app.vercel.app/apps/pet-profile/create', {
-        method: 'POST',
-        body: formData
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        let errorMessage = 'Failed to save pet profile';
-
-        try {
-          const errorData = JSON.parse(errorText);
-          errorMessage = errorData.error || errorMessage;
-        } catch (e) {
-          errorMessage = `Server error (${response.status})`;
-        }
-
-        throw new Error(errorMessage);
-      }
-
-      const result = await response.json();
-      console.log('✅ Pet profile saved with image:', result);
-      return result;
-
-    } else {
-      // No image - send as JSON
-      const payload = {
-        customer_id: customerId,
-        pet_data: petData
-      };
-
-      const response = await fetch('https://pet-profile-app.vercel.app/apps/pet-profile/create', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify(payload)
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        let errorMessage = 'Failed to save pet profile';
-
-        try {
-          const errorData = JSON.parse(errorText);
-          errorMessage = errorData.error || errorMessage;
-        } catch (e) {
-          errorMessage = `Server error (${response.status})`;
-        }
-
-        throw new Error(errorMessage);
-      }
-
-      const result = await response.json();
-      console.log('✅ Pet profile saved:', result);
-      return result;
     }
+
+    const result = await createPet(petData, { image });
+    console.log(image ? '✅ Pet profile saved with image:' : '✅ Pet profile saved:', result);
+    return result;
   }
 
   /**
@@ -244,7 +180,7 @@ export class PetProfileCompletion extends Component {
       };
 
       // Submit the pet profile with image if available
-      await this.submitPetProfile(customerId, completePetData, imageDataUrl);
+      const result = await this.submitPetProfile(completePetData, imageDataUrl);
 
       // Clear pending data after successful submission
       localStorage.removeItem('pet_signup_pending_data');
@@ -252,10 +188,8 @@ export class PetProfileCompletion extends Component {
       // Show success message
       this.showNotification(`${petName || 'Pet'} profile created successfully! 🎉`, 'success');
 
-      // Dispatch event for other components
-      window.dispatchEvent(new CustomEvent('petProfileCompleted', {
-        detail: { petData: completePetData, customerId }
-      }));
+      // Share the new pet with the other pet components
+      petStore.add(result.pet || { ...completePetData, id: result.metaobject_id }, customerId);
 
       // Optionally redirect to pets page after a delay
       setTimeout(() => {
@@ -267,7 +201,7 @@ export class PetProfileCompletion extends Component {
       console.error('❌ Error completing pet stepper profile:', error);
 
       // Show error to user
-      this.showNotification(`Failed to create pet profile: ${error.message}`, 'error');
+      this.showNotification(`Failed to create pet profile. ${getErrorMessage(error)}`, 'error');
 
       // Keep the pending data so user can try again
       console.log('⚠️ Pending stepper data preserved for retry');
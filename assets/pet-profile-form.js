@@ -1,4 +1,9 @@
 import { Component } from '@theme/component';
+import { validatePetData, FORM_FIELD_NAMES } from '@theme/pet-profile-schema';
+import { createPet, updatePet, getErrorMessage, PetApiError } from '@theme/pet-api';
+import { petStore } from '@theme/pet-store';
+import { getSpecies, getSpeciesRegistry, createAllergyOptions } from '@theme/pet-species';
+import { getPreferredWeightUnit, toKilograms, fromKilograms } from '@theme/pet-weight';
 
 /**
  * Pet Profile Form Component
@@ -8,12 +13,91 @@ export class PetProfileForm extends Component {
   constructor() {
     super();
     this.petName = '';
-    this.petType = 'dog';
+    this.petType = Object.keys(getSpeciesRegistry())[0] || '';
+    this.editingPet = null;
   }
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.refs.weightUnit) {
+      this.refs.weightUnit.value = getPreferredWeightUnit();
+    }
     this.setupEventListeners();
+    this.updateSpeciesOptions(this.petType);
+    this.handleEditPet();
+  }
+
+  /**
+   * Enter edit mode when the page is opened with ?edit_pet=<id>
+   * The pet itself is handed over by PetList through sessionStorage
+   */
+  handleEditPet() {
+    const editPetId = new URLSearchParams(window.location.search).get('edit_pet');
+    if (!editPetId) return;
+
+    let pet = null;
+    try {
+      pet = JSON.parse(sessionStorage.getItem('edit_pet') || 'null');
+    } catch (e) {
+      console.error('Error parsing edit_pet data:', e);
+    }
+
+    if (!pet || String(pet.id) !== editPetId) {
+      this.showError('We couldn\'t load this pet. Please go back to your pets and try again.');
+      return;
+    }
+
+    this.editingPet = pet;
+    this.populateForm(pet);
+
+    if (this.refs.submitButton) {
+      this.refs.submitButton.textContent = this.getSubmitText();
+    }
+  }
+
+  /**
+   * Fill the form with an existing pet's values
+   * @param {Object} pet
+   */
+  populateForm(pet) {
+    const form = this.refs.form;
+    if (!form) return;
+
+    const setValue = (name, value) => {
+      const input = form.querySelector(`[name="${name}"]`);
+      if (input && value) input.value = value;
+    };
+    const check = (name, value) => {
+      const input = form.querySelector(`[name="${name}"][value="${value}"]`);
+      if (input) input.checked = true;
+    };
+
+    setValue('pet_name', pet.name);
+    setValue('pet_birthday', pet.birthday);
+    setValue('pet_breed', pet.breed);
+
+    if (pet.type) {
+      check('pet_type', pet.type);
+      this.updateSpeciesOptions(pet.type);
+    }
+    if (pet.weight_kg && this.refs.weightInput) {
+      this.refs.weightInput.value = String(fromKilograms(pet.weight_kg, this.refs.weightUnit?.value || 'kg'));
+    }
+    if (pet.health_boost) check('health_boost', pet.health_boost);
+    (pet.allergies || []).forEach(allergy => check('allergies', allergy));
+
+    this.updateDynamicText(pet.name || '');
+  }
+
+  /**
+   * Get submit button text for the current mode
+   * @returns {string}
+   */
+  getSubmitText() {
+    if (this.editingPet) {
+      return this.getAttribute('update-submit-text') || 'Save Changes';
+    }
+    return this.getAttribute('submit-text') || 'Create Pet Profile';
   }
 
   setupEventListeners() {
@@ -25,12 +109,12 @@ export class PetProfileForm extends Component {
       });
     }
 
-    // Pet type radio - toggle weight options
+    // Pet type radio - show the species' options
     const petTypeRadios = this.refs.form?.querySelectorAll('[name="pet_type"]');
     if (petTypeRadios) {
       petTypeRadios.forEach((radio) => {
         radio.addEventListener('change', (e) => {
-          this.updateWeightOptions(e.target.value);
+          this.updateSpeciesOptions(e.target.value);
         });
       });
     }
@@ -84,43 +168,39 @@ export class PetProfileForm extends Component {
   }
 
   /**
-   * Toggle weight options based on pet type
-   * @param {string} type - 'dog' or 'cat'
+   * Render the allergens and breed hint of a species
+   * Allergies that the new species also has stay checked.
+   * @param {string} type - A species from the registry
    */
-  updateWeightOptions(type) {
+  updateSpeciesOptions(type) {
     this.petType = type;
-    const dogOptions = this.refs.dogWeightOptions;
-    const catOptions = this.refs.catWeightOptions;
-
-    if (type === 'cat') {
-      if (dogOptions) {
-        dogOptions.hidden = true;
-        dogOptions.querySelectorAll('input').forEach(input => {
-          input.required = false;
-        });
-      }
-      if (catOptions) {
-        catOptions.hidden = false;
-        catOptions.querySelectorAll('input').forEach(input => {
-          input.required = true;
-        });
-      }
-    } else {
-      if (dogOptions) {
-        dogOptions.hidden = false;
-        dogOptions.querySelectorAll('input').forEach(input => {
-          input.required = true;
-        });
-      }
-      if (catOptions) {
-        catOptions.hidden = true;
-        catOptions.querySelectorAll('input').forEach(input => {
-          input.required = false;
-        });
-      }
+    const species = getSpecies(type);
+
+    if (this.refs.allergyOptions) {
+      const checkedAllergies = [...this.refs.allergyOptions.querySelectorAll('input:checked')].map(input => input.value);
+      this.refs.allergyOptions.replaceChildren(...createAllergyOptions(species));
+      this.refs.allergyOptions.querySelectorAll('input').forEach(input => {
+        input.checked = checkedAllergies.includes(input.value);
+      });
+    }
+
+    const breedInput = this.refs.form?.querySelector('[name="pet_breed"]');
+    if (breedInput) {
+      breedInput.placeholder = species?.breed_placeholder || breedInput.dataset.defaultPlaceholder || '';
     }
   }
 
+  /**
+   * Read the weight input in kilograms
+   * @returns {number | null} Null when no weight was entered
+   */
+  getWeightKilograms() {
+    const value = parseFloat(this.refs.weightInput?.value || '');
+    if (Number.isNaN(value)) return null;
+
+    return toKilograms(value, this.refs.weightUnit?.value || 'kg');
+  }
+
   /**
    * Handle form submission
    */
@@ -143,22 +223,39 @@ export class PetProfileForm extends Component {
       const formData = new FormData(form);
       const petData = this.getFormData(formData);
 
+      const validation = validatePetData(petData, { species: getSpeciesRegistry() });
+      if (!validation.valid) {
+        this.showFieldErrors(validation.errors);
+        return;
+      }
+
+      // The size worked out from the exact weight, for the local copy of the pet
+      petData.weight = validation.value.weight;
+
+      if (this.editingPet) {
+        await this.updatePetData(petData);
+
+        this.showSuccess(this.getAttribute('update-success-text'));
+
+        sessionStorage.removeItem('edit_pet');
+
+        setTimeout(() => {
+          window.location.href = '/pages/my-pets';
+        }, 2000);
+        return;
+      }
+
       // Submit to Shopify
       await this.submitPetData(petData);
 
       // Show success message
       this.showSuccess();
 
-      // Dispatch custom event to notify other components
-      window.dispatchEvent(new CustomEvent('petProfileCreated', {
-        detail: { petData }
-      }));
-
       // Reset form after delay
       setTimeout(() => {
         form.reset();
         this.petName = '';
-        this.updateWeightOptions('dog');
+        this.updateSpeciesOptions(Object.keys(getSpeciesRegistry())[0] || '');
 
         // Optionally redirect to pet list page
         // Uncomment the line below to redirect after successful submission
@@ -167,12 +264,16 @@ export class PetProfileForm extends Component {
 
     } catch (error) {
       console.error('Error submitting pet profile:', error);
-      this.showError(error.message || 'Failed to submit pet profile. Please try again.');
+      if (error.fieldErrors) {
+        this.showFieldErrors(error.fieldErrors);
+      } else {
+        this.showError(getErrorMessage(error, 'Failed to submit pet profile. Please try again.'));
+      }
     } finally {
       // Re-enable submit button
       if (submitButton) {
         submitButton.disabled = false;
-        submitButton.textContent = this.getAttribute('submit-text') || 'Create Pet Profile';
+        submitButton.textContent = this.getSubmitText();
       }
     }
   }
@@ -193,7 +294,9 @@ export class PetProfileForm extends Component {
       type: formData.get('pet_type'),
       birthday: formData.get('pet_birthday'),
       breed: formData.get('pet_breed'),
-      weight: formData.get('pet_weight'),
+      weight_kg: this.getWeightKilograms(),
+      // The server works the size out from the exact weight; pets saved before exact weights keep theirs
+      ...(this.editingPet?.weight ? { weight: this.editingPet.weight } : {}),
       allergies: allergies,
       health_boost: formData.get('health_boost')
     };
@@ -214,59 +317,29 @@ export class PetProfileForm extends Component {
       throw new Error('Please sign in to complete your pet profile. Your information has been saved.');
     }
 
-    const payload = {
-      customer_id: customerId,
-      pet_data: petData
-    };
-
     console.log('Submitting pet data for customer:', customerId);
-    console.log('Payload:', JSON.stringify(payload, null, 2));
 
     // Submit to Shopify app endpoint to create metaobject
     try {
-      const response = await fetch('https://pet-profile-app.vercel.app/apps/pet-profile/create', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify(payload)
-      });
-
-      if (response.ok) {
-        const result = await response.json();
-        console.log('✅ Pet profile saved to Shopify metaobject:', result);
+      const result = await createPet(petData);
+      console.log('✅ Pet profile saved to Shopify metaobject:', result);
 
-        // Also save to localStorage as a cache
-        this.savePetToLocalStorage(petData, result.metaobject_id, customerId);
+      // Also add it to the shared pet cache
+      petStore.add(result.pet || { ...petData, id: result.metaobject_id }, customerId);
 
-        return result;
-      } else {
-        // Get response as text first, then try to parse as JSON
-        const responseText = await response.text();
-        let errorMessage = 'Failed to save pet profile';
-
-        try {
-          const errorData = JSON.parse(responseText);
-          errorMessage = errorData.error || errorMessage;
-        } catch (e) {
-          // Response is not JSON, use the text directly
-          if (responseText) {
-            errorMessage = `Server error (${response.status}): ${responseText.substring(0, 100)}`;
-          } else {
-            errorMessage = `Server returned ${response.status} ${response.statusText}`;
-          }
-        }
-        throw new Error(errorMessage);
-      }
+      return result;
     } catch (error) {
       console.error('❌ Error calling API:', error);
 
+      // The server answered, so saving locally would hide a real failure
+      if (!(error instanceof PetApiError && error.isNetworkError)) throw error;
+
       // Fallback: Store in localStorage only (development mode)
       console.warn('⚠️ API endpoint not available. Saving to localStorage only.');
       console.warn('⚠️ This pet will NOT sync across devices until API is set up.');
 
-      const newPet = this.savePetToLocalStorage(petData, `temp-${Date.now()}`, customerId);
+      const newPet = { ...petData, id: `temp-${Date.now()}`, created_at: new Date().toISOString() };
+      petStore.add(newPet, customerId);
 
       // Show warning to user
       console.log('💡 To sync pets across devices, set up the Shopify app endpoint.');
@@ -276,24 +349,19 @@ export class PetProfileForm extends Component {
   }
 
   /**
-   * Save pet to localStorage as cache/fallback
+   * Save changes to the pet being edited
    * @param {Object} petData
-   * @param {string} metaobjectId
-   * @param {string} customerId
-   * @returns {Object} The saved pet object
    */
-  savePetToLocalStorage(petData, metaobjectId, customerId) {
-    const pets = JSON.parse(localStorage.getItem('customer_pets') || '[]');
-    const newPet = {
-      ...petData,
-      id: metaobjectId,
-      customer_id: customerId,
-      created_at: new Date().toISOString()
-    };
-    pets.push(newPet);
-    localStorage.setItem('customer_pets', JSON.stringify(pets));
-    console.log('💾 Pet cached to localStorage:', newPet);
-    return newPet;
+  async updatePetData(petData) {
+    const customerId = this.getAttribute('customer-id');
+    const petId = this.editingPet.id;
+
+    const result = await updatePet(petId, petData);
+    console.log('✅ Pet profile updated:', result);
+
+    petStore.update({ ...this.editingPet, ...petData, ...result.pet }, customerId);
+
+    return result;
   }
 
   /**
@@ -317,8 +385,12 @@ export class PetProfileForm extends Component {
 
   /**
    * Show success message
+   * @param {string|null} [message] - Overrides the default success text
    */
-  showSuccess() {
+  showSuccess(message) {
+    if (message && this.refs.successText) {
+      this.refs.successText.textContent = message;
+    }
     if (this.refs.successMessage) {
       this.refs.successMessage.hidden = false;
       this.refs.successMessage.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
@@ -337,6 +409,42 @@ export class PetProfileForm extends Component {
     }
   }
 
+  /**
+   * Show field errors under their inputs
+   * @param {Record<string, string>} errors - Message per pet_data key
+   */
+  showFieldErrors(errors) {
+    this.clearFieldErrors();
+
+    for (const [key, message] of Object.entries(errors)) {
+      const inputs = this.refs.form?.querySelectorAll(`[name="${FORM_FIELD_NAMES[key]}"]`) || [];
+      const field = inputs[0]?.closest('.form-field');
+
+      if (!field) {
+        this.showError(message);
+        continue;
+      }
+
+      const errorElement = document.createElement('p');
+      errorElement.className = 'form-field__error';
+      errorElement.setAttribute('role', 'alert');
+      errorElement.textContent = message;
+      field.append(errorElement);
+
+      inputs.forEach(input => input.setAttribute('aria-invalid', 'true'));
+    }
+
+    this.querySelector('[aria-invalid="true"]')?.focus();
+  }
+
+  /**
+   * Remove field errors added by showFieldErrors
+   */
+  clearFieldErrors() {
+    this.querySelectorAll('.form-field__error').forEach(element => element.remove());
+    this.querySelectorAll('[aria-invalid="true"]').forEach(input => input.removeAttribute('aria-invalid'));
+  }
+
   /**
    * Hide all messages
    */
@@ -347,6 +455,8 @@ export class PetProfileForm extends Component {
     if (this.refs.errorMessage) {
       this.refs.errorMessage.hidden = true;
     }
+
+    this.clearFieldErrors();
   }
 }
 
@@ -0,0 +1,436 @@
+/**
+ * Pet Profile Schema
+ * Field rules for the pet_profile and pet_health_record metaobjects, shared by the theme forms and the
+ * pet profile app (shopify-app/lib/pet-profile-schema.mjs is a generated copy).
+ * Keep this file free of imports and browser globals so it runs in both places.
+ */
+
+/**
+ * @typedef {Object} SpeciesWeightClass
+ * @property {string} value - Stored in the pet_profile weight field
+ * @property {string} label - e.g. "Tiny but mighty"
+ * @property {string} [description] - e.g. "<10lbs"
+ * @property {number} [kilograms] - Typical body weight, used for feeding portions when the exact weight is unknown
+ * @property {number} [max_kilograms] - Pets below this weight fall in this class; the last class has none
+ * @property {number} [adult_from_months] - Overrides the species' age for pets of this size, e.g. large dogs grow for longer
+ * @property {number} [senior_from_months] - Overrides the species' age for pets of this size
+ */
+
+/**
+ * @typedef {Object} SpeciesAllergen
+ * @property {string} value - Stored in the pet_profile allergies field, matched against custom.proteins
+ * @property {string} label
+ * @property {string} [icon]
+ */
+
+/**
+ * @typedef {Object} Species
+ * @property {string} name - e.g. "Dog"
+ * @property {string} icon - Emoji shown on cards and in pet pickers
+ * @property {string} [description] - Copy for the signup type card
+ * @property {string} [breed_placeholder] - Placeholder for the breed input
+ * @property {SpeciesWeightClass[]} weight_classes
+ * @property {SpeciesAllergen[]} allergens
+ * @property {number} [adult_from_months] - Age at which the pet stops being young
+ * @property {number} [senior_from_months] - Age at which the pet becomes a senior
+ */
+
+/** @type {SpeciesAllergen[]} */
+const MEAT_ALLERGENS = [
+  { value: 'beef', label: 'Beef', icon: '🥩' },
+  { value: 'chicken', label: 'Chicken', icon: '🍗' },
+  { value: 'lamb', label: 'Lamb', icon: '🐑' },
+  { value: 'turkey', label: 'Turkey', icon: '🦃' },
+];
+
+/**
+ * Species offered when the store has no pet_species metaobjects, keyed by the pet_profile type value
+ * @type {Record<string, Species>}
+ */
+export const DEFAULT_SPECIES = {
+  dog: {
+    name: 'Dog',
+    icon: '🐕',
+    description: 'Create a custom box for your canine companion',
+    breed_placeholder: 'e.g., Golden Retriever',
+    weight_classes: [
+      { value: 'tiny', label: 'Tiny but mighty', description: '<10lbs', kilograms: 3.5, max_kilograms: 4.5 },
+      { value: 'small', label: 'Small and sturdy', description: '10-25lbs', kilograms: 8, max_kilograms: 11.3 },
+      { value: 'medium', label: 'Perfect medium', description: '25-50lbs', kilograms: 17, max_kilograms: 22.7 },
+      {
+        value: 'large',
+        label: 'Large and in charge',
+        description: '50+lbs',
+        kilograms: 30,
+        // Large dogs grow for longer and age sooner than smaller ones
+        adult_from_months: 18,
+        senior_from_months: 6 * 12,
+      },
+    ],
+    allergens: MEAT_ALLERGENS,
+    adult_from_months: 12,
+    senior_from_months: 7 * 12,
+  },
+  cat: {
+    name: 'Cat',
+    icon: '🐱',
+    description: 'Create a custom box for your feline friend',
+    breed_placeholder: 'e.g., Tabby',
+    weight_classes: [{ value: 'cat', label: 'One size fits all', description: 'Standard cat size', kilograms: 4.5 }],
+    allergens: MEAT_ALLERGENS,
+    adult_from_months: 12,
+    senior_from_months: 11 * 12,
+  },
+};
+
+/** @type {string[]} */
+export const PET_TYPES = Object.keys(DEFAULT_SPECIES);
+
+/** @type {Record<string, string[]>} Weight classes allowed for each pet type */
+export const WEIGHT_OPTIONS = getWeightOptions(DEFAULT_SPECIES);
+
+/** @type {string[]} */
+export const ALLERGENS = getAllergens(DEFAULT_SPECIES);
+
+/** @type {string[]} */
+export const HEALTH_BOOSTS = ['joint_support', 'gut_health', 'probiotic'];
+
+/** @type {Record<string, string>} Customer-facing names for the health boosts, used in cart line item properties */
+export const HEALTH_BOOST_LABELS = {
+  joint_support: 'Joint support',
+  gut_health: 'Gut health',
+  probiotic: 'Pre + pro biotic',
+};
+
+export const NAME_MAX_LENGTH = 100;
+export const WEIGHT_MAX_KILOGRAMS = 150;
+export const BREED_MAX_LENGTH = 100;
+
+export const HEALTH_TEXT_MAX_LENGTH = 100;
+export const HEALTH_NOTES_MAX_LENGTH = 1000;
+export const HEALTH_LIST_MAX_ITEMS = 50;
+
+/** @type {string[]} Single line fields of a pet_health_record */
+export const VET_CONTACT_FIELDS = ['vet_name', 'vet_clinic', 'vet_phone', 'vet_email'];
+
+/** @type {Record<string, string>} Form input name for each pet_data key */
+export const FORM_FIELD_NAMES = {
+  name: 'pet_name',
+  type: 'pet_type',
+  birthday: 'pet_birthday',
+  breed: 'pet_breed',
+  weight: 'pet_weight',
+  weight_kg: 'pet_weight_value',
+  allergies: 'allergies',
+  health_boost: 'health_boost',
+};
+
+/**
+ * @typedef {Object} PetValidationResult
+ * @property {boolean} valid - Whether every checked field passed
+ * @property {Record<string, string>} errors - Message per pet_data key
+ * @property {Record<string, any>} value - Normalized pet data, only the keys that were checked
+ */
+
+/**
+ * Validate pet data against the pet_profile definition
+ * @param {Record<string, any>} data - Pet data as sent to /apps/pet-profile
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Only check the keys present in data (for updates)
+ * @param {Date} [options.today] - Reference date for birthday checks
+ * @param {Record<string, Species>} [options.species] - The store's species registry
+ * @returns {PetValidationResult}
+ */
+export function validatePetData(data, { partial = false, today = new Date(), species = DEFAULT_SPECIES } = {}) {
+  /** @type {Record<string, string>} */
+  const errors = {};
+  /** @type {Record<string, any>} */
+  const value = {};
+  const input = data && typeof data === 'object' ? data : {};
+  const petTypes = Object.keys(species);
+  const weightOptions = getWeightOptions(species);
+  const typeSpecies = species[input.type];
+  const allergens = getAllergens(typeSpecies ? { [input.type]: typeSpecies } : species);
+
+  /** @param {string} key */
+  const shouldCheck = (key) => !partial || key in input;
+
+  if (shouldCheck('name')) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) {
+      errors.name = 'Please enter your pet\'s name.';
+    } else if (name.length > NAME_MAX_LENGTH) {
+      errors.name = `Name must be ${NAME_MAX_LENGTH} characters or fewer.`;
+    }
+    value.name = name;
+  }
+
+  if (shouldCheck('type')) {
+    if (!petTypes.includes(input.type)) {
+      const names = Object.values(species).map(({ name }) => name.toLowerCase());
+      const choices = names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+      errors.type = `Please choose ${choices}.`;
+    }
+    value.type = input.type;
+  }
+
+  if (shouldCheck('birthday')) {
+    const birthday = input.birthday || '';
+    if (birthday) {
+      const error = validateBirthday(birthday, today);
+      if (error) errors.birthday = error;
+    }
+    value.birthday = birthday;
+  }
+
+  if (shouldCheck('breed')) {
+    const breed = typeof input.breed === 'string' ? input.breed.trim() : '';
+    if (breed.length > BREED_MAX_LENGTH) {
+      errors.breed = `Breed must be ${BREED_MAX_LENGTH} characters or fewer.`;
+    }
+    value.breed = breed;
+  }
+
+  if (shouldCheck('weight_kg')) {
+    const weightKg = input.weight_kg === '' || input.weight_kg == null ? null : Number(input.weight_kg);
+    if (weightKg !== null && !(weightKg > 0)) {
+      errors.weight_kg = 'Please enter a weight above 0.';
+    } else if (weightKg !== null && weightKg > WEIGHT_MAX_KILOGRAMS) {
+      errors.weight_kg = 'That weight looks too high, please check it.';
+    }
+    value.weight_kg = weightKg !== null && !errors.weight_kg ? Math.round(weightKg * 10) / 10 : null;
+  }
+
+  // The weight class follows the exact weight when there is one, so it can't drift from it
+  const weightClass = value.weight_kg && typeSpecies ? getWeightClassForKilograms(typeSpecies, value.weight_kg) : null;
+
+  if (shouldCheck('weight') || weightClass) {
+    const weight = weightClass ? weightClass.value : input.weight;
+    const allowed = weightOptions[input.type] || Object.values(weightOptions).flat();
+    if (!weight) {
+      if (!errors.weight_kg) errors.weight_kg = 'Please enter your pet\'s weight.';
+    } else if (!allowed.includes(weight)) {
+      errors.weight = 'Please select one of the listed sizes.';
+    }
+    value.weight = weight;
+  }
+
+  if (shouldCheck('allergies')) {
+    const allergies = input.allergies == null ? [] : input.allergies;
+    if (!Array.isArray(allergies)) {
+      errors.allergies = 'Allergies must be a list.';
+    } else if (allergies.some((allergy) => !allergens.includes(allergy))) {
+      errors.allergies = `Allergies can only include ${allergens.join(', ')}.`;
+    }
+    value.allergies = Array.isArray(allergies) ? [...new Set(allergies)] : allergies;
+  }
+
+  if (shouldCheck('health_boost')) {
+    const healthBoost = input.health_boost || '';
+    if (healthBoost && !HEALTH_BOOSTS.includes(healthBoost)) {
+      errors.health_boost = 'Please select one of the listed boosts.';
+    }
+    value.health_boost = healthBoost;
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors, value };
+}
+
+/**
+ * @typedef {Object} HealthRecordData
+ * @property {Array<{ name: string, date: string, next_due?: string }>} vaccinations - Dates as YYYY-MM-DD
+ * @property {Array<{ name: string, dosage?: string, frequency?: string }>} medications
+ * @property {string[]} conditions - e.g. "Arthritis", used for supplement recommendations
+ * @property {string} vet_name
+ * @property {string} vet_clinic
+ * @property {string} vet_phone
+ * @property {string} vet_email
+ * @property {string} notes
+ */
+
+/**
+ * Validate health record data against the pet_health_record definition
+ * @param {Record<string, any>} data - Health record data as sent to /apps/pet-profile/health
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Only check the keys present in data (for updates)
+ * @returns {PetValidationResult} Errors for list entries are keyed like "vaccinations.0.date"
+ */
+export function validateHealthRecord(data, { partial = false } = {}) {
+  /** @type {Record<string, string>} */
+  const errors = {};
+  /** @type {Record<string, any>} */
+  const value = {};
+  const input = data && typeof data === 'object' ? data : {};
+
+  /** @param {string} key */
+  const shouldCheck = (key) => !partial || key in input;
+
+  /**
+   * @param {unknown} text
+   * @param {string} key - Error key
+   * @param {number} [maxLength]
+   */
+  const checkText = (text, key, maxLength = HEALTH_TEXT_MAX_LENGTH) => {
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (trimmed.length > maxLength) errors[key] = `Must be ${maxLength} characters or fewer.`;
+    return trimmed;
+  };
+
+  /**
+   * @template T
+   * @param {string} key
+   * @param {(entry: any, entryKey: string) => T} checkEntry
+   * @returns {T[]}
+   */
+  const checkList = (key, checkEntry) => {
+    const list = input[key] == null ? [] : input[key];
+    if (!Array.isArray(list)) {
+      errors[key] = 'Must be a list.';
+      return [];
+    }
+    if (list.length > HEALTH_LIST_MAX_ITEMS) {
+      errors[key] = `Add at most ${HEALTH_LIST_MAX_ITEMS} entries.`;
+    }
+    return list.map((entry, index) => checkEntry(entry, `${key}.${index}`));
+  };
+
+  /** @param {unknown} entry */
+  const asObject = (entry) => /** @type {Record<string, any>} */ (entry && typeof entry === 'object' ? entry : {});
+
+  if (shouldCheck('vaccinations')) {
+    value.vaccinations = checkList('vaccinations', (entry, entryKey) => {
+      const { name: rawName, date = '', next_due: nextDue = '' } = asObject(entry);
+
+      const name = checkText(rawName, `${entryKey}.name`);
+      if (!name) errors[`${entryKey}.name`] = 'Please enter the vaccine.';
+      if (!isRealDate(date)) errors[`${entryKey}.date`] = 'Please enter the date as YYYY-MM-DD.';
+      if (nextDue && !isRealDate(nextDue)) errors[`${entryKey}.next_due`] = 'Please enter the date as YYYY-MM-DD.';
+
+      return nextDue ? { name, date, next_due: nextDue } : { name, date };
+    });
+  }
+
+  if (shouldCheck('medications')) {
+    value.medications = checkList('medications', (entry, entryKey) => {
+      const { name: rawName, dosage, frequency } = asObject(entry);
+
+      const name = checkText(rawName, `${entryKey}.name`);
+      if (!name) errors[`${entryKey}.name`] = 'Please enter the medication.';
+
+      return {
+        name,
+        dosage: checkText(dosage, `${entryKey}.dosage`),
+        frequency: checkText(frequency, `${entryKey}.frequency`),
+      };
+    });
+  }
+
+  if (shouldCheck('conditions')) {
+    const conditions = checkList('conditions', (condition, entryKey) => checkText(condition, entryKey));
+    value.conditions = [...new Set(conditions.filter(Boolean))];
+  }
+
+  VET_CONTACT_FIELDS.forEach((key) => {
+    if (shouldCheck(key)) value[key] = checkText(input[key], key);
+  });
+
+  if (value.vet_email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.vet_email)) {
+    errors.vet_email = 'Please enter a valid email address.';
+  }
+  if (value.vet_phone && !/^[0-9+()\-.\s]{5,30}$/.test(value.vet_phone)) {
+    errors.vet_phone = 'Please enter a valid phone number.';
+  }
+
+  if (shouldCheck('notes')) {
+    value.notes = checkText(input.notes, 'notes', HEALTH_NOTES_MAX_LENGTH);
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors, value };
+}
+
+/**
+ * Get the weight class values of each species
+ * @param {Record<string, Species>} species
+ * @returns {Record<string, string[]>}
+ */
+export function getWeightOptions(species) {
+  return Object.fromEntries(
+    Object.entries(species).map(([type, { weight_classes }]) => [type, weight_classes.map((weight) => weight.value)])
+  );
+}
+
+/**
+ * Find the weight class an exact weight falls in
+ * Classes are checked in order; one without a max_kilograms takes every weight that reaches it.
+ * @param {Species} species
+ * @param {number} kilograms
+ * @returns {SpeciesWeightClass | null}
+ */
+export function getWeightClassForKilograms(species, kilograms) {
+  return (
+    species.weight_classes.find(({ max_kilograms: maxKilograms = 0 }) => !(maxKilograms > 0) || kilograms < maxKilograms) ||
+    null
+  );
+}
+
+/**
+ * Get every allergen the species list, without duplicates
+ * @param {Record<string, Species>} species
+ * @returns {string[]}
+ */
+export function getAllergens(species) {
+  return [...new Set(Object.values(species).flatMap(({ allergens }) => allergens.map((allergen) => allergen.value)))];
+}
+
+/**
+ * Fill in the fields a pet_species metaobject left empty
+ * @param {string} type - The metaobject handle
+ * @param {Partial<Species>} species
+ * @returns {Species}
+ */
+export function normalizeSpecies(type, species) {
+  return {
+    ...species,
+    name: species.name || type,
+    icon: species.icon || '🐾',
+    weight_classes: Array.isArray(species.weight_classes) ? species.weight_classes : [],
+    allergens: Array.isArray(species.allergens) ? species.allergens : [],
+  };
+}
+
+/**
+ * Check a YYYY-MM-DD birthday
+ * @param {string} birthday
+ * @param {Date} today
+ * @returns {string | null} Error message, or null when valid
+ */
+function validateBirthday(birthday, today) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(birthday);
+  if (!match) return 'Please enter the birthday as YYYY-MM-DD.';
+  if (!isRealDate(birthday)) return 'Please enter a real date.';
+
+  const [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  const todayUtc = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+  if (date.getTime() > todayUtc) return 'Birthday can\'t be in the future.';
+  if (year < 1900) return 'Please enter a birthday after 1900.';
+
+  return null;
+}
+
+/**
+ * Whether a string is a YYYY-MM-DD date that exists
+ * Rejects dates like 2023-02-30 that Date would silently roll over.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isRealDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return false;
+
+  const [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
@@ -1,9 +1,19 @@
 import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { petStore } from '@theme/pet-store';
+import { parseProteins, getAllergyConflicts, formatProteins } from '@theme/pet-allergies';
+import { HEALTH_BOOST_LABELS } from '@theme/pet-profile-schema';
+import { LIFE_STAGE_LABELS, getLifeStage, parseLifeStages } from '@theme/pet-life-stage';
+import { getSpeciesIcon } from '@theme/pet-species';
 
 /**
  * Pet Selector Component
  * Allows customers to select which pet a product is for
- * Attaches pet data to cart line items via properties
+ * Attaches pet data to cart line items via properties, and blocks add to cart
+ * when the selected pet is allergic to a protein the product declares.
+ * When a pet is required the product form won't submit until one is chosen.
+ * With the allow_multiple setting, customers can instead tick several pets
+ * and the product form adds one line per pet.
  */
 export class PetSelector extends Component {
   constructor() {
@@ -11,6 +21,13 @@ export class PetSelector extends Component {
     this.pets = [];
     this.isLoggedIn = false;
     this.customerId = null;
+    this.unsubscribeFromPets = null;
+    this.productProteins = [];
+    this.productLifeStages = [];
+    this.isBlockingAddToCart = false;
+    this.addToCartWasDisabled = false;
+    this.variantUpdateTarget = null;
+    this.isMultiMode = false;
   }
 
   connectedCallback() {
@@ -19,12 +36,20 @@ export class PetSelector extends Component {
     // Get login state from attributes
     this.isLoggedIn = this.getAttribute('data-customer-logged-in') === 'true';
     this.customerId = this.getAttribute('data-customer-id');
+    this.productProteins = parseProteins(this.dataset.productProteins);
+    this.productLifeStages = parseLifeStages(this.dataset.productLifeStages);
 
     // Load pets and initialize UI
     this.loadPets();
     this.setupEventListeners();
   }
 
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.unsubscribeFromPets?.();
+    this.variantUpdateTarget?.removeEventListener(ThemeEvents.variantUpdate, this.handleVariantUpdate);
+  }
+
   /**
    * Set up event listeners
    */
@@ -36,173 +61,64 @@ export class PetSelector extends Component {
       });
     }
 
-    // Listen for storage changes (when a pet is added in another tab)
-    window.addEventListener('storage', (e) => {
-      if (e.key === 'customer_pets') {
-        this.loadPets();
-      }
-    });
+    // Stay in sync when pets are added, edited or removed on this page or in another tab
+    if (this.isLoggedIn && this.customerId) {
+      this.unsubscribeFromPets = petStore.subscribe((pets) => {
+        this.pets = pets;
+        this.updateUI();
+      });
+    }
 
-    // Listen for custom event when a pet is added
-    window.addEventListener('petProfileCreated', () => {
-      this.loadPets();
-    });
+    // Switching variants re-enables add to cart, so keep it blocked for an allergic pet
+    if (this.productProteins.length > 0) {
+      this.variantUpdateTarget = this.closest('.shopify-section, dialog');
+      this.variantUpdateTarget?.addEventListener(ThemeEvents.variantUpdate, this.handleVariantUpdate);
+    }
   }
 
   /**
-   * Load pets from API, customer metafield, or localStorage
+   * Load pets from the pet store, falling back to the customer metafield
    */
   async loadPets() {
-    try {
-      // If logged in, try to fetch from API first
-      if (this.isLoggedIn && this.customerId) {
-        console.log('🐾 Fetching pets from API for customer:', this.customerId);
-
-        try {
-          const response = await fetch(`https://pet-profile-app.vercel.app/apps/pet-profile/list?customer_id=${this.customerId}`, {
-            method: 'GET',
-            headers: {
-              'Content-Type': 'application/json',
-              'Accept': 'application/json'
-            }
-          });
-
-          if (response.ok) {
-            const data = await response.json();
-            this.pets = data.pets || [];
-
-            // Normalize allergies field
-            this.pets = this.normalizePets(this.pets);
-
-            console.log('✅ Loaded', this.pets.length, 'pets from API');
-
-            // Update localStorage cache
-            this.updateLocalStorageCache(this.pets);
-
-            this.updateUI();
-            return;
-          }
-        } catch (apiError) {
-          console.warn('⚠️ API not available, falling back to metafield/localStorage');
-        }
-      }
-
-      // Fallback 1: Try to load from customer metafield (passed from Liquid)
-      const metafieldPets = this.getAttribute('data-customer-pets');
-
-      if (metafieldPets) {
-        try {
-          // Parse the JSON data from the metafield
-          const parsedPets = JSON.parse(metafieldPets);
-
-          // Metafield data could be an array or a single object
-          if (Array.isArray(parsedPets)) {
-            this.pets = parsedPets;
-          } else if (parsedPets && typeof parsedPets === 'object') {
-            this.pets = [parsedPets];
-          } else {
-            this.pets = [];
-          }
-
-          // Normalize allergies field
-          this.pets = this.normalizePets(this.pets);
-
-          console.log('🐾 Loaded pets from customer metafield:', this.pets);
-
-          // Update UI based on loaded pets
-          this.updateUI();
-          return;
-        } catch (e) {
-          console.error('Error parsing metafield pets:', e);
-          // Fall through to localStorage
-        }
-      }
-
-      // Fallback 2: Load from localStorage
-      const storedPets = localStorage.getItem('customer_pets');
-
-      if (storedPets) {
-        const allPets = JSON.parse(storedPets);
-
-        // Filter pets for current customer if logged in
-        if (this.isLoggedIn && this.customerId) {
-          this.pets = allPets.filter(pet =>
-            !pet.customer_id || pet.customer_id === this.customerId
-          );
-        } else {
-          // If not logged in, show all pets (fallback)
-          this.pets = allPets;
-        }
-
-        // Normalize allergies field
-        this.pets = this.normalizePets(this.pets);
-      } else {
-        this.pets = [];
-      }
-
-      console.log('🐾 Loaded pets from localStorage:', this.pets);
-
-      // Update UI based on loaded pets
-      this.updateUI();
-    } catch (error) {
-      console.error('Error loading pets:', error);
+    if (!this.isLoggedIn || !this.customerId) {
       this.pets = [];
       this.updateUI();
+      return;
     }
-  }
 
-  /**
-   * Normalize pets data - ensure allergies is always an array
-   * @param {Array} pets - Array of pet objects
-   * @returns {Array} Normalized pets
-   */
-  normalizePets(pets) {
-    return pets.map(pet => {
-      if (pet.allergies) {
-        // If allergies is a string, try to parse it
-        if (typeof pet.allergies === 'string') {
-          try {
-            pet.allergies = JSON.parse(pet.allergies);
-          } catch (e) {
-            // If it's not valid JSON, treat it as a single item
-            pet.allergies = [pet.allergies];
-          }
-        }
-        // Ensure it's an array
-        if (!Array.isArray(pet.allergies)) {
-          pet.allergies = [];
-        }
-      } else {
-        pet.allergies = [];
-      }
-      return pet;
-    });
+    try {
+      console.log('🐾 Loading pets for customer:', this.customerId);
+
+      // Cached pets show straight away; the store refreshes them from the API in the background
+      this.pets = await petStore.load(this.customerId);
+      console.log('✅ Loaded', this.pets.length, 'pets');
+    } catch (apiError) {
+      console.warn('⚠️ API not available, falling back to customer metafield');
+      this.pets = this.getMetafieldPets();
+    }
+
+    this.updateUI();
   }
 
   /**
-   * Update localStorage cache with pets from API
-   * @param {Array} pets - Fresh pet data from API
+   * Read pets passed from Liquid through the customer metafield
+   * @returns {Array} Pets, or an empty array when there are none
    */
-  updateLocalStorageCache(pets) {
-    if (!this.customerId) return;
-
-    // Get all pets from localStorage
-    const allPets = JSON.parse(localStorage.getItem('customer_pets') || '[]');
-
-    // Remove this customer's old pets
-    const otherPets = allPets.filter(p => p.customer_id !== this.customerId);
-
-    // Add fresh pets with customer_id
-    const updatedPets = [
-      ...otherPets,
-      ...pets.map(pet => ({
-        ...pet,
-        customer_id: this.customerId
-      }))
-    ];
-
-    localStorage.setItem('customer_pets', JSON.stringify(updatedPets));
-    console.log('💾 Updated localStorage cache with', pets.length, 'pets');
+  getMetafieldPets() {
+    const metafieldPets = this.getAttribute('data-customer-pets');
+    if (!metafieldPets) return [];
+
+    try {
+      // Metafield data could be an array or a single object
+      const parsedPets = JSON.parse(metafieldPets);
+      const pets = Array.isArray(parsedPets) ? parsedPets : parsedPets && typeof parsedPets === 'object' ? [parsedPets] : [];
+
+      // Normalize allergies field
+      return pets.map(pet => ({ ...pet, allergies: Array.isArray(pet.allergies) ? pet.allergies : [] }));
+    } catch (e) {
+      console.error('Error parsing metafield pets:', e);
+      return [];
+    }
   }
 
   /**
@@ -219,6 +135,12 @@ export class PetSelector extends Component {
     if (this.refs.notLoggedInMessage) {
       this.refs.notLoggedInMessage.hidden = true;
     }
+    if (this.refs.multiWrapper) {
+      this.refs.multiWrapper.hidden = true;
+    }
+    if (this.refs.modeToggle) {
+      this.refs.modeToggle.hidden = true;
+    }
 
     // Show appropriate state
     if (!this.isLoggedIn) {
@@ -231,13 +153,152 @@ export class PetSelector extends Component {
       if (this.refs.noPetsMessage) {
         this.refs.noPetsMessage.hidden = false;
       }
+      this.clearHiddenInputs();
+      this.updateAllergyWarning(null);
+      this.updateLifeStageWarning(null);
+    } else if (this.isMultiModeActive()) {
+      // Several pets ticked at once - the dropdown's pet isn't sent
+      if (this.refs.petSelect) {
+        this.refs.petSelect.disabled = true;
+      }
+      this.clearHiddenInputs();
+      this.updateAllergyWarning(null);
+      this.updateLifeStageWarning(null);
+      this.refs.multiWrapper.hidden = false;
+      this.populateMultiList();
     } else {
       // Logged in and has pets - show dropdown
       if (this.refs.dropdownWrapper) {
+        if (this.refs.petSelect) {
+          this.refs.petSelect.disabled = false;
+        }
         this.refs.dropdownWrapper.hidden = false;
         this.populateDropdown();
       }
     }
+
+    // Offer multi-pet mode to customers with more than one pet
+    if (this.refs.modeToggle && this.isLoggedIn && this.pets.length > 1) {
+      this.refs.modeToggle.hidden = false;
+      this.refs.modeToggle.textContent = this.isMultiModeActive() ? 'Add for one pet' : 'Add for several pets';
+    }
+  }
+
+  /**
+   * Switch between choosing one pet from the dropdown and ticking several pets
+   */
+  toggleMultiMode() {
+    this.isMultiMode = !this.isMultiMode;
+    this.updateUI();
+  }
+
+  /**
+   * Whether the customer is ticking several pets instead of using the dropdown
+   * @returns {boolean}
+   */
+  isMultiModeActive() {
+    return this.isMultiMode && Boolean(this.refs.multiWrapper) && this.pets.length > 1;
+  }
+
+  /**
+   * Populate the multi-pet list with a checkbox and quantity for each pet
+   */
+  populateMultiList() {
+    if (!this.refs.multiList) {
+      return;
+    }
+
+    // Keep ticked pets and quantities when the list is refreshed
+    const previousRows = new Map(
+      Array.from(this.refs.multiList.querySelectorAll('.pet-selector__multi-row')).map((row) => [
+        row.dataset.petId,
+        {
+          checked: row.querySelector('.pet-selector__multi-checkbox').checked,
+          quantity: row.querySelector('.pet-selector__multi-quantity').value
+        }
+      ])
+    );
+
+    this.refs.multiList.replaceChildren(
+      ...this.pets.map((pet) => this.createMultiRow(pet, previousRows.get(String(pet.id))))
+    );
+  }
+
+  /**
+   * Create a multi-pet list row
+   * Pets allergic to a protein in this product can't be ticked.
+   * @param {Object} pet - The pet
+   * @param {{ checked: boolean, quantity: string }} [previousRow] - The row's state before the list was refreshed
+   * @returns {HTMLLIElement}
+   */
+  createMultiRow(pet, previousRow) {
+    const conflicts = getAllergyConflicts(pet, this.productProteins);
+    const isAllergic = conflicts.length > 0;
+
+    const row = document.createElement('li');
+    row.className = 'pet-selector__multi-row';
+    row.dataset.petId = pet.id;
+
+    const label = document.createElement('label');
+    label.className = 'pet-selector__multi-pet';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'pet-selector__multi-checkbox';
+    checkbox.disabled = isAllergic;
+    checkbox.checked = !isAllergic && Boolean(previousRow?.checked);
+
+    const petEmoji = getSpeciesIcon(pet.type);
+    label.append(checkbox, `${petEmoji} ${pet.name}`);
+    if (isAllergic) {
+      label.append(` (allergic to ${formatProteins(conflicts)})`);
+    }
+
+    const quantity = document.createElement('input');
+    quantity.type = 'number';
+    quantity.min = '1';
+    quantity.value = previousRow?.quantity || '1';
+    quantity.className = 'pet-selector__multi-quantity';
+    quantity.disabled = isAllergic;
+    quantity.setAttribute('aria-label', `Quantity for ${pet.name}`);
+
+    row.append(label, quantity);
+    return row;
+  }
+
+  /**
+   * Get the ticked pets with their quantities and line item properties
+   * Used by the product form to add one cart line per pet.
+   * @returns {Array<{ quantity: number, properties: Record<string, string> }> | null} Null when not in multi-pet mode
+   */
+  getPetItems() {
+    if (!this.isMultiModeActive()) {
+      return null;
+    }
+
+    return Array.from(this.refs.multiList.querySelectorAll('.pet-selector__multi-row')).flatMap((row) => {
+      const pet = this.pets.find((pet) => String(pet.id) === row.dataset.petId);
+      if (!pet || !row.querySelector('.pet-selector__multi-checkbox').checked) return [];
+
+      const quantity = parseInt(row.querySelector('.pet-selector__multi-quantity').value, 10);
+      return [{ quantity: quantity > 0 ? quantity : 1, properties: this.getPetProperties(pet) }];
+    });
+  }
+
+  /**
+   * Get the line item properties for a pet, matching the hidden inputs
+   * @param {Object} pet - The pet
+   * @returns {Record<string, string>}
+   */
+  getPetProperties(pet) {
+    return {
+      '_Pet ID': String(pet.id),
+      'Pet Name': pet.name,
+      '_Pet Type': pet.type,
+      '_Pet Allergies': Array.isArray(pet.allergies) ? pet.allergies.join(', ') : pet.allergies || '',
+      'Health Boost': HEALTH_BOOST_LABELS[pet.health_boost] || pet.health_boost || '',
+      'Life Stage': LIFE_STAGE_LABELS[getLifeStage(pet)] || ''
+    };
   }
 
   /**
@@ -251,6 +312,9 @@ export class PetSelector extends Component {
     // Get the placeholder option
     const placeholderOption = this.refs.petSelect.querySelector('option[value=""]');
 
+    // Keep the current choice when the list is refreshed
+    const selectedPetId = this.refs.petSelect.selectedOptions[0]?.dataset.petId;
+
     // Clear existing options except placeholder
     this.refs.petSelect.innerHTML = '';
 
@@ -265,7 +329,7 @@ export class PetSelector extends Component {
       option.value = index; // Use index to reference pet in array
 
       // Format option text with pet name and type
-      const petEmoji = pet.type === 'cat' ? '🐱' : '🐕';
+      const petEmoji = getSpeciesIcon(pet.type);
       option.textContent = `${petEmoji} ${pet.name}`;
 
       // Store pet data as data attributes for easy access
@@ -273,10 +337,22 @@ export class PetSelector extends Component {
       option.dataset.petName = pet.name;
       option.dataset.petType = pet.type;
       option.dataset.petAllergies = pet.allergies ? pet.allergies.join(', ') : '';
+      option.dataset.petHealthBoost = pet.health_boost || '';
+      option.dataset.petWeight = pet.weight || '';
+      option.dataset.petBirthday = pet.birthday || '';
+      option.selected = selectedPetId !== undefined && String(pet.id) === selectedPetId;
 
       this.refs.petSelect.appendChild(option);
     });
 
+    // A required pet defaults to the customer's only pet so there's nothing to forget
+    if (this.dataset.petRequired === 'true' && this.pets.length === 1 && this.refs.petSelect.value === '') {
+      this.refs.petSelect.value = '0';
+    }
+
+    // Refresh the line item properties, or clear them if the selected pet was removed
+    this.handlePetSelection();
+
     console.log('✅ Dropdown populated with', this.pets.length, 'pets');
   }
 
@@ -293,6 +369,8 @@ export class PetSelector extends Component {
     if (selectedIndex === '') {
       // No pet selected - clear hidden inputs
       this.clearHiddenInputs();
+      this.updateAllergyWarning(null);
+      this.updateLifeStageWarning(null);
       return;
     }
 
@@ -308,15 +386,111 @@ export class PetSelector extends Component {
       id: selectedOption.dataset.petId,
       name: selectedOption.dataset.petName,
       type: selectedOption.dataset.petType,
-      allergies: selectedOption.dataset.petAllergies
+      allergies: selectedOption.dataset.petAllergies,
+      healthBoost: selectedOption.dataset.petHealthBoost,
+      weight: selectedOption.dataset.petWeight,
+      birthday: selectedOption.dataset.petBirthday
     };
 
     // Update hidden inputs with pet data
     this.updateHiddenInputs(petData);
+    this.updateAllergyWarning(petData);
+    this.updateLifeStageWarning(petData);
+
+    // Personalize the rest of the page for this pet
+    if (this.customerId) {
+      petStore.setActivePet(petData.id, this.customerId);
+    }
 
     console.log('🐾 Pet selected:', petData);
   }
 
+  /**
+   * Warn about and block add to cart when the pet is allergic to something in this product
+   * @param {Object|null} petData - The selected pet's data, or null when no pet is selected
+   */
+  updateAllergyWarning(petData) {
+    const conflicts = petData ? getAllergyConflicts(petData, this.productProteins) : [];
+
+    if (this.refs.allergyWarning) {
+      this.refs.allergyWarning.hidden = conflicts.length === 0;
+      this.refs.allergyWarning.textContent = conflicts.length
+        ? `⚠️ ${petData.name} is allergic to ${formatProteins(conflicts)}, which this product contains. Pick another pet or product.`
+        : '';
+    }
+
+    this.setAddToCartBlocked(conflicts.length > 0);
+
+    if (conflicts.length) {
+      console.warn('⚠️ Selected pet is allergic to:', conflicts);
+    }
+  }
+
+  /**
+   * Point out when the product is made for another life stage, e.g. a puppy formula for a senior dog
+   * Unlike allergies this doesn't block add to cart.
+   * @param {Object|null} petData - The selected pet's data, or null when no pet is selected
+   */
+  updateLifeStageWarning(petData) {
+    if (!this.refs.lifeStageWarning) {
+      return;
+    }
+
+    const lifeStage = petData ? getLifeStage(petData) : null;
+    const isMismatch = Boolean(lifeStage) && this.productLifeStages.length > 0 && !this.productLifeStages.includes(lifeStage);
+
+    this.refs.lifeStageWarning.hidden = !isMismatch;
+    this.refs.lifeStageWarning.textContent = '';
+
+    if (isMismatch) {
+      const productStages = new Intl.ListFormat('en').format(this.productLifeStages);
+      const article = lifeStage === 'adult' ? 'an' : 'a';
+      this.refs.lifeStageWarning.textContent = `ℹ️ This product is made for ${productStages} pets, and ${petData.name} is ${article} ${lifeStage}.`;
+    }
+  }
+
+  /**
+   * Disable or re-enable the product form's add to cart button
+   * Only re-enables the button if it was enabled before the pet blocked it.
+   * @param {boolean} blocked
+   */
+  setAddToCartBlocked(blocked) {
+    const addToCart = this.getAddToCartComponent();
+
+    if (blocked) {
+      if (!this.isBlockingAddToCart) {
+        this.addToCartWasDisabled = Boolean(addToCart?.refs.addToCartButton?.disabled);
+      }
+      addToCart?.disable();
+    } else if (this.isBlockingAddToCart && !this.addToCartWasDisabled) {
+      addToCart?.enable();
+    }
+
+    this.isBlockingAddToCart = blocked;
+  }
+
+  /**
+   * Find the add to cart component of the product form this selector belongs to
+   * @returns {import('./product-form').AddToCartComponent | null}
+   */
+  getAddToCartComponent() {
+    const form = document.getElementById(this.dataset.productFormId);
+    return form?.closest('product-form-component')?.querySelector('add-to-cart-component') ?? null;
+  }
+
+  /**
+   * Block add to cart again after the product form has updated the button for a new variant
+   * @param {import('./events').VariantUpdateEvent} event
+   */
+  handleVariantUpdate = (event) => {
+    if (!this.isBlockingAddToCart) return;
+
+    const variant = event.detail.resource;
+    this.addToCartWasDisabled = !variant || variant.available === false;
+
+    setTimeout(() => this.getAddToCartComponent()?.disable());
+  };
+
   /**
    * Update hidden inputs with pet data
    * @param {Object} petData - The selected pet's data
@@ -334,6 +508,13 @@ export class PetSelector extends Component {
     if (this.refs.petAllergiesInput) {
       this.refs.petAllergiesInput.value = petData.allergies;
     }
+    if (this.refs.petHealthBoostInput) {
+      this.refs.petHealthBoostInput.value = HEALTH_BOOST_LABELS[petData.healthBoost] || petData.healthBoost;
+    }
+    if (this.refs.petLifeStageInput) {
+      const lifeStage = getLifeStage(petData);
+      this.refs.petLifeStageInput.value = lifeStage ? LIFE_STAGE_LABELS[lifeStage] : '';
+    }
   }
 
   /**
@@ -352,6 +533,12 @@ export class PetSelector extends Component {
     if (this.refs.petAllergiesInput) {
       this.refs.petAllergiesInput.value = '';
     }
+    if (this.refs.petHealthBoostInput) {
+      this.refs.petHealthBoostInput.value = '';
+    }
+    if (this.refs.petLifeStageInput) {
+      this.refs.petLifeStageInput.value = '';
+    }
   }
 
   /**
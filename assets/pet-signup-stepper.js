@@ -1,4 +1,10 @@
 import { Component } from '@theme/component';
+import { validatePetData, FORM_FIELD_NAMES } from '@theme/pet-profile-schema';
+import { createPet, updatePet, getErrorMessage, PetApiError } from '@theme/pet-api';
+import { petStore } from '@theme/pet-store';
+import { getSpecies, getSpeciesRegistry, formatWeightClass, getAllergen, createAllergyOptions } from '@theme/pet-species';
+import { getWeightClassForKilograms } from '@theme/pet-profile-schema';
+import { getPreferredWeightUnit, toKilograms, fromKilograms, formatWeight } from '@theme/pet-weight';
 
 /**
  * Pet Signup Stepper Component
@@ -13,6 +19,7 @@ export class PetSignupStepper extends Component {
     this.formData = {};
     this.petImage = null; // Compressed blob
     this.petImageDataUrl = null; // Data URL for preview
+    this.editingPet = null; // Pet being edited, if any
   }
 
   /**
@@ -21,16 +28,76 @@ export class PetSignupStepper extends Component {
    */
   get totalSteps() {
     const isLoggedIn = this.getAttribute('customer-logged-in') === 'true';
-    return isLoggedIn ? 7 : 8;
+    return isLoggedIn ? 8 : 9;
   }
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.refs.weightUnit) {
+      this.refs.weightUnit.value = getPreferredWeightUnit();
+    }
     this.setupEventListeners();
     this.resetImageUpload();
 
     // Check if user returned from authentication
     this.handleAuthenticationReturn();
+
+    // Check if user came from the pet list to edit a pet
+    this.handleEditPet();
+  }
+
+  /**
+   * Enter edit mode when the page is opened with ?edit_pet=<id>
+   * The pet itself is handed over by PetList through sessionStorage
+   */
+  handleEditPet() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const editPetId = urlParams.get('edit_pet');
+
+    if (!editPetId) return;
+
+    let pet = null;
+    try {
+      pet = JSON.parse(sessionStorage.getItem('edit_pet') || 'null');
+    } catch (e) {
+      console.error('Error parsing edit_pet data:', e);
+    }
+
+    if (!pet || String(pet.id) !== editPetId) {
+      console.warn('⚠️ No matching pet found to edit');
+      this.showError('We couldn\'t load this pet. Please go back to your pets and try again.');
+      return;
+    }
+
+    console.log('✏️ Editing pet:', pet.id);
+
+    this.editingPet = pet;
+    this.selectPetType(pet.type);
+
+    // Show the current photo; a new one is only uploaded if the customer picks it
+    if (pet.image_url && !pet.image_url.startsWith('data:')) {
+      this.showImagePreview(pet.image_url);
+    }
+    this.populateFormFields({
+      petType: pet.type,
+      petName: pet.name,
+      formData: pet
+    });
+
+    if (this.refs.submitButton) {
+      this.refs.submitButton.textContent = this.getSubmitText();
+    }
+  }
+
+  /**
+   * Get submit button text for the current mode
+   * @returns {string}
+   */
+  getSubmitText() {
+    if (this.editingPet) {
+      return this.getAttribute('update-submit-text') || 'Save Changes';
+    }
+    return this.getAttribute('submit-text') || 'Create Pet Profile';
   }
 
   /**
@@ -122,7 +189,7 @@ export class PetSignupStepper extends Component {
         stack: error.stack
       });
 
-      this.showError(`Failed to create pet profile: ${error.message}`);
+      this.showError(`Failed to create pet profile. ${getErrorMessage(error)}`);
       this.showRetryButton();
 
       // Don't clear session data so user can retry
@@ -130,18 +197,12 @@ export class PetSignupStepper extends Component {
   }
 
   setupEventListeners() {
-    // Pet type selection cards
-    if (this.refs.dogCard) {
-      this.refs.dogCard.addEventListener('click', () => {
-        this.selectPetType('dog');
-      });
-    }
-
-    if (this.refs.catCard) {
-      this.refs.catCard.addEventListener('click', () => {
-        this.selectPetType('cat');
+    // Pet type selection cards, one per species
+    (this.refs.typeCards || []).forEach(card => {
+      card.addEventListener('click', () => {
+        this.selectPetType(card.dataset.petType);
       });
-    }
+    });
 
     // Pet name input - update dynamic text
     if (this.refs.petNameInput) {
@@ -150,6 +211,13 @@ export class PetSignupStepper extends Component {
       });
     }
 
+    // Weight input - show which size the weight falls in
+    [this.refs.weightInput, this.refs.weightUnit].forEach(element => {
+      element?.addEventListener('input', () => {
+        this.updateWeightClassText();
+      });
+    });
+
     // Navigation buttons
     if (this.refs.nextButton) {
       this.refs.nextButton.addEventListener('click', () => {
@@ -217,7 +285,7 @@ export class PetSignupStepper extends Component {
 
   /**
    * Select pet type and transition to stepper
-   * @param {string} type - 'dog' or 'cat'
+   * @param {string} type - A species from the registry, e.g. 'dog'
    */
   selectPetType(type) {
     this.petType = type;
@@ -231,8 +299,8 @@ export class PetSignupStepper extends Component {
       this.refs.stepperForm.hidden = false;
     }
 
-    // Set up weight options based on pet type
-    this.updateWeightOptions(type);
+    // Set up the questions that depend on the species
+    this.updateSpeciesOptions(type);
 
     // Scroll to the stepper form on mobile only
     const isMobile = window.matchMedia('(max-width: 749px)').matches;
@@ -251,30 +319,56 @@ export class PetSignupStepper extends Component {
   }
 
   /**
-   * Update weight options based on pet type
-   * @param {string} type - 'dog' or 'cat'
+   * Render the allergens and breed hint of a species
+   * Clears any allergies given for another species.
+   * @param {string} type - A species from the registry
    */
-  updateWeightOptions(type) {
-    const dogOptions = this.refs.dogWeightOptions;
-    const catOptions = this.refs.catWeightOptions;
+  updateSpeciesOptions(type) {
+    const species = getSpecies(type);
 
-    if (type === 'cat') {
-      if (dogOptions) {
-        dogOptions.hidden = true;
-      }
-      if (catOptions) {
-        catOptions.hidden = false;
-      }
-    } else {
-      if (dogOptions) {
-        dogOptions.hidden = false;
-      }
-      if (catOptions) {
-        catOptions.hidden = true;
-      }
+    this.updateAllergyOptions(species);
+    this.updateWeightClassText();
+
+    const breedInput = this.refs.form?.querySelector('input[name="pet_breed"]');
+    if (breedInput) {
+      breedInput.placeholder = species?.breed_placeholder || breedInput.dataset.defaultPlaceholder || '';
     }
   }
 
+  /**
+   * Show the size the entered weight falls in, e.g. "Small and sturdy (10-25lbs)"
+   */
+  updateWeightClassText() {
+    if (!this.refs.weightClassText) return;
+
+    const weightKg = this.getWeightKilograms();
+    const species = getSpecies(this.petType);
+    const weightClass = weightKg && species && species.weight_classes.length > 1
+      ? getWeightClassForKilograms(species, weightKg)
+      : null;
+
+    this.refs.weightClassText.textContent = weightClass ? formatWeightClass(this.petType, weightClass.value) : '';
+  }
+
+  /**
+   * Read the weight input in kilograms
+   * @returns {number | null} Null when no weight was entered
+   */
+  getWeightKilograms() {
+    const value = parseFloat(this.refs.weightInput?.value || '');
+    if (Number.isNaN(value)) return null;
+
+    return toKilograms(value, this.refs.weightUnit?.value || 'kg');
+  }
+
+  /**
+   * Render one checkbox card per allergen of the species
+   * @param {import('./pet-profile-schema').Species | null} species
+   */
+  updateAllergyOptions(species) {
+    this.refs.allergyOptions?.replaceChildren(...createAllergyOptions(species));
+  }
+
   /**
    * Update dynamic text with pet name
    * @param {string} name - The pet's name
@@ -294,6 +388,7 @@ export class PetSignupStepper extends Component {
       { ref: 'weightTitle', original: null },
       { ref: 'imageTitle', original: null },
       { ref: 'allergiesTitle', original: null },
+      { ref: 'boostTitle', original: null },
       { ref: 'reviewTitle', original: null }
     ];
 
@@ -359,9 +454,42 @@ export class PetSignupStepper extends Component {
 
     // Step 5 (allergies) is optional - checkboxes don't require validation
 
+    // Check the fields on this step against the shared pet profile rules
+    const petData = { ...this.getFormData(new FormData(this.refs.form)), type: this.petType };
+    const { errors } = validatePetData(petData, { species: getSpeciesRegistry() });
+    const stepErrors = Object.fromEntries(
+      Object.entries(errors).filter(([key]) => currentStepElement.querySelector(`[name="${FORM_FIELD_NAMES[key]}"]`))
+    );
+
+    if (Object.keys(stepErrors).length > 0) {
+      this.showFieldErrors(stepErrors);
+      return false;
+    }
+
+    this.clearFieldErrors();
     return true;
   }
 
+  /**
+   * Jump straight to a step, e.g. the first one with an error
+   * @param {number} step - 1-based step number
+   */
+  goToStep(step) {
+    if (this.refs.step?.[this.currentStep - 1]) {
+      this.refs.step[this.currentStep - 1].hidden = true;
+    }
+
+    this.currentStep = step;
+
+    if (this.refs.step?.[this.currentStep - 1]) {
+      this.refs.step[this.currentStep - 1].hidden = false;
+    }
+
+    this.updateProgress();
+    this.updateButtons();
+    this.scrollToTop();
+  }
+
   /**
    * Move to next step
    */
@@ -392,7 +520,7 @@ export class PetSignupStepper extends Component {
 
     // Generate review summary on step 8 (review step)
     const isLoggedIn = this.getAttribute('customer-logged-in') === 'true';
-    if (this.currentStep === 7) {
+    if (this.currentStep === 8) {
       this.generateReviewSummary();
     }
 
@@ -458,14 +586,14 @@ export class PetSignupStepper extends Component {
 
     if (isLoggedIn) {
       if (this.refs.nextButton) {
-        this.refs.nextButton.hidden = this.currentStep === 7;
+        this.refs.nextButton.hidden = this.currentStep === 8;
       }
       if (this.refs.submitButton) {
-        this.refs.submitButton.hidden = this.currentStep !== 7;
+        this.refs.submitButton.hidden = this.currentStep !== 8;
       }
     } else {
       if (this.refs.nextButton) {
-        this.refs.nextButton.hidden = this.currentStep === 8;
+        this.refs.nextButton.hidden = this.currentStep === 9;
       }
       if (this.refs.submitButton) {
         this.refs.submitButton.hidden = true;
@@ -610,12 +738,13 @@ export class PetSignupStepper extends Component {
     }
 
     const fields = [
-      { label: 'Pet Type', value: this.petType === 'dog' ? '🐕 Dog' : '🐱 Cat' },
+      { label: 'Pet Type', value: this.formatPetType(this.petType) },
       { label: 'Name', value: data.name || 'Not provided' },
       { label: 'Birthday', value: data.birthday || 'Not provided' },
       { label: 'Breed', value: data.breed || 'Not provided' },
-      { label: 'Weight', value: this.formatWeight(data.weight) },
-      { label: 'Allergies', value: data.allergies.length > 0 ? data.allergies.join(', ') : 'None' }
+      { label: 'Weight', value: this.formatPetWeight(data) },
+      { label: 'Allergies', value: data.allergies.length > 0 ? data.allergies.map(allergy => getAllergen(allergy).label).join(', ') : 'None' },
+      { label: 'Health Boost', value: this.formatHealthBoost(data.health_boost) }
     ];
 
     fields.forEach(field => {
@@ -631,18 +760,29 @@ export class PetSignupStepper extends Component {
   }
 
   /**
-   * Format weight value for display
-   * @param {string} weight
+   * Format weight for display, e.g. "24.5 lb · Small and sturdy"
+   * Pets saved before exact weights only have their size.
+   * @param {Object} data - Form data
    * @returns {string}
    */
-  formatWeight(weight) {
-    const weights = {
-      'tiny': 'Tiny but mighty (<10lbs)',
-      'medium': 'Perfect medium (25-50lbs)',
-      'large': 'Large and in charge (50+lbs)',
-      'cat': 'Standard cat size'
-    };
-    return weights[weight] || weight;
+  formatPetWeight(data) {
+    if (!data.weight_kg) return formatWeightClass(this.petType, data.weight) || 'Not provided';
+
+    const species = getSpecies(this.petType);
+    const weightClass = species ? getWeightClassForKilograms(species, data.weight_kg) : null;
+    const weight = formatWeight(data.weight_kg, this.refs.weightUnit?.value);
+
+    return weightClass && species.weight_classes.length > 1 ? `${weight} · ${weightClass.label}` : weight;
+  }
+
+  /**
+   * Format pet type for display, e.g. "🐕 Dog"
+   * @param {string} type
+   * @returns {string}
+   */
+  formatPetType(type) {
+    const species = getSpecies(type);
+    return species ? `${species.icon} ${species.name}` : type;
   }
 
   /**
@@ -650,7 +790,14 @@ export class PetSignupStepper extends Component {
    * @param {string} boost
    * @returns {string}
    */
-  
+  formatHealthBoost(boost) {
+    const boosts = {
+      'joint_support': 'Joint support',
+      'gut_health': 'Gut health',
+      'probiotic': 'Pre + pro biotic'
+    };
+    return boosts[boost] || 'None';
+  }
 
   /**
    * Scroll to top of stepper form
@@ -686,32 +833,39 @@ export class PetSignupStepper extends Component {
       // Add pet type
       petData.type = this.petType;
 
-      // Add image_url when available
-      if (this.petImageDataUrl) {
-        petData.image_url = this.petImageDataUrl;
+      const validation = validatePetData(petData, { species: getSpeciesRegistry() });
+      if (!validation.valid) {
+        this.showFieldErrors(validation.errors);
+        return;
       }
 
-      // Create new FormData for submission
-      const submitFormData = new FormData();
-      submitFormData.append('customer_id', this.getAttribute('customer-id'));
-      submitFormData.append('pet_data', JSON.stringify(petData));
+      // The size worked out from the exact weight, for the local copy of the pet
+      petData.weight = validation.value.weight;
 
-      // Append image if available
-      if (this.petImage) {
-        submitFormData.append('pet_image', this.petImage, `${petData.name}-photo.jpg`);
+      // The blob doesn't survive the login redirect, only the preview data URL does
+      if (!this.petImage && this.petImageDataUrl) {
+        this.petImage = await (await fetch(this.petImageDataUrl)).blob();
+      }
+
+      if (this.editingPet) {
+        await this.updatePetData(petData);
+
+        this.showSuccess(this.getAttribute('update-success-text'));
+
+        sessionStorage.removeItem('edit_pet');
+
+        setTimeout(() => {
+          window.location.href = '/pages/my-pets';
+        }, 2000);
+        return;
       }
 
       // Submit to Shopify
-      await this.submitPetData(submitFormData);
+      await this.submitPetData(petData);
 
       // Show success message
       this.showSuccess();
 
-      // Dispatch custom event to notify other components
-      window.dispatchEvent(new CustomEvent('petProfileCreated', {
-        detail: { petData }
-      }));
-
       // Redirect after delay
       setTimeout(() => {
         window.location.href = '/pages/my-pets';
@@ -719,12 +873,16 @@ export class PetSignupStepper extends Component {
 
     } catch (error) {
       console.error('Error submitting pet profile:', error);
-      this.showError(error.message || 'Failed to submit pet profile. Please try again.');
+      if (error.fieldErrors) {
+        this.showFieldErrors(error.fieldErrors);
+      } else {
+        this.showError(getErrorMessage(error, 'Failed to submit pet profile. Please try again.'));
+      }
     } finally {
       // Re-enable submit button
       if (submitButton) {
         submitButton.disabled = false;
-        submitButton.textContent = this.getAttribute('submit-text') || 'Create Pet Profile';
+        submitButton.textContent = this.getSubmitText();
       }
     }
   }
@@ -744,16 +902,19 @@ export class PetSignupStepper extends Component {
       name: formData.get('pet_name'),
       birthday: formData.get('pet_birthday'),
       breed: formData.get('pet_breed'),
-      weight: formData.get('pet_weight'),
-      allergies: allergies
+      weight_kg: this.getWeightKilograms(),
+      // The server works the size out from the exact weight; pets saved before exact weights keep theirs
+      ...(this.editingPet?.weight ? { weight: this.editingPet.weight } : {}),
+      allergies: allergies,
+      health_boost: formData.get('health_boost') || ''
     };
   }
 
   /**
-   * Submit pet data to Shopify metaobject
-   * @param {FormData} formData - FormData with customer_id, pet_data, and optional pet_image
+   * Submit pet data to Shopify metaobject, with the photo if one was picked
+   * @param {Object} petData
    */
-  async submitPetData(formData) {
+  async submitPetData(petData) {
     // Check if customer is logged in using the attribute from Liquid
     const isLoggedIn = this.getAttribute('customer-logged-in') === 'true';
     const customerId = this.getAttribute('customer-id');
@@ -782,48 +943,25 @@ export class PetSignupStepper extends Component {
 
     // Submit to Shopify app endpoint to create metaobject
     try {
-      const response = await fetch('https://pet-profile-app.vercel.app/apps/pet-profile/create', {
-        method: 'POST',
-        // Don't set Content-Type - browser will add boundary for multipart
-        body: formData
-      });
-
-      if (response.ok) {
-        const result = await response.json();
-        console.log('✅ Pet profile saved to Shopify metaobject:', result);
-
-        // Also save to localStorage as a cache
-        if (result.pet) {
-          this.savePetToLocalStorage(result.pet, result.metaobject_id, customerId);
-        }
+      const result = await createPet(petData, { image: this.petImage });
+      console.log('✅ Pet profile saved to Shopify metaobject:', result);
 
-        return result;
-      } else {
-        // Get response as text first, then try to parse as JSON
-        const responseText = await response.text();
-        let errorMessage = 'Failed to save pet profile';
+      // Also add it to the shared pet cache
+      petStore.add(result.pet || { ...petData, id: result.metaobject_id }, customerId);
 
-        try {
-          const errorData = JSON.parse(responseText);
-          errorMessage = errorData.error || errorMessage;
-        } catch (e) {
-          // Response is not JSON, use the text directly
-          if (responseText) {
-            errorMessage = `Server error (${response.status}): ${responseText.substring(0, 100)}`;
-          } else {
-            errorMessage = `Server returned ${response.status} ${response.statusText}`;
-          }
-        }
-        throw new Error(errorMessage);
-      }
+      return result;
     } catch (error) {
       console.error('❌ Error calling API:', error);
 
+      // The server answered, so saving locally would hide a real failure
+      if (!(error instanceof PetApiError && error.isNetworkError)) throw error;
+
       // Fallback: Store in localStorage only (development mode)
       console.warn('⚠️ API endpoint not available. Saving to localStorage only.');
       console.warn('⚠️ This pet will NOT sync across devices until API is set up.');
 
-      const newPet = this.savePetToLocalStorage(petData, `temp-${Date.now()}`, customerId);
+      const newPet = { ...petData, id: `temp-${Date.now()}`, created_at: new Date().toISOString() };
+      petStore.add(newPet, customerId);
 
       // Show warning to user
       console.log('💡 To sync pets across devices, set up the Shopify app endpoint.');
@@ -833,30 +971,32 @@ export class PetSignupStepper extends Component {
   }
 
   /**
-   * Save pet to localStorage as cache/fallback
-   * @param {Object} petData
-   * @param {string} metaobjectId
-   * @param {string} customerId
-   * @returns {Object} The saved pet object
+   * Save changes to the pet being edited
+   * @param {Object} petData - Full set of form values; the server only updates what is sent
    */
-  savePetToLocalStorage(petData, metaobjectId, customerId) {
-    const pets = JSON.parse(localStorage.getItem('customer_pets') || '[]');
-    const newPet = {
-      ...petData,
-      id: metaobjectId,
-      customer_id: customerId,
-      created_at: new Date().toISOString()
-    };
-    pets.push(newPet);
-    localStorage.setItem('customer_pets', JSON.stringify(pets));
-    console.log('💾 Pet cached to localStorage:', newPet);
-    return newPet;
+  async updatePetData(petData) {
+    const customerId = this.getAttribute('customer-id');
+    const petId = this.editingPet.id;
+
+    console.log('📦 Updating pet:', petId);
+
+    // Sent as multipart only when a new photo was picked
+    const result = await updatePet(petId, petData, { image: this.petImage });
+    console.log('✅ Pet profile updated:', result);
+
+    petStore.update({ ...this.editingPet, ...petData, ...result.pet }, customerId);
+
+    return result;
   }
 
   /**
    * Show success message
+   * @param {string|null} [message] - Overrides the default success text
    */
-  showSuccess() {
+  showSuccess(message) {
+    if (message && this.refs.successText) {
+      this.refs.successText.textContent = message;
+    }
     if (this.refs.successMessage) {
       this.refs.successMessage.hidden = false;
       this.refs.successMessage.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
@@ -875,6 +1015,52 @@ export class PetSignupStepper extends Component {
     }
   }
 
+  /**
+   * Show field errors next to their inputs and go to the first step that has one
+   * @param {Record<string, string>} errors - Message per pet_data key
+   */
+  showFieldErrors(errors) {
+    this.clearFieldErrors();
+
+    let firstErrorStep = null;
+
+    for (const [key, message] of Object.entries(errors)) {
+      const inputs = this.refs.form?.querySelectorAll(`[name="${FORM_FIELD_NAMES[key]}"]`) || [];
+      const stepElement = inputs[0]?.closest('.form-step');
+
+      // Pet type is picked from the cards, not an input on a step
+      if (!stepElement) {
+        this.showError(message);
+        continue;
+      }
+
+      const errorElement = document.createElement('p');
+      errorElement.className = 'form-step__error';
+      errorElement.setAttribute('role', 'alert');
+      errorElement.textContent = message;
+      stepElement.append(errorElement);
+
+      inputs.forEach(input => input.setAttribute('aria-invalid', 'true'));
+
+      const stepNumber = this.refs.step.indexOf(stepElement) + 1;
+      if (firstErrorStep === null || stepNumber < firstErrorStep) {
+        firstErrorStep = stepNumber;
+      }
+    }
+
+    if (firstErrorStep !== null && firstErrorStep !== this.currentStep) {
+      this.goToStep(firstErrorStep);
+    }
+  }
+
+  /**
+   * Remove field errors added by showFieldErrors
+   */
+  clearFieldErrors() {
+    this.querySelectorAll('.form-step__error').forEach(element => element.remove());
+    this.querySelectorAll('[aria-invalid="true"]').forEach(input => input.removeAttribute('aria-invalid'));
+  }
+
   /**
    * Hide all messages
    */
@@ -886,6 +1072,8 @@ export class PetSignupStepper extends Component {
       this.refs.errorMessage.hidden = true;
     }
 
+    this.clearFieldErrors();
+
     // Also hide retry button if it exists
     if (this.refs.retryButton) {
       this.refs.retryButton.hidden = true;
@@ -920,7 +1108,7 @@ export class PetSignupStepper extends Component {
           window.history.replaceState({}, document.title, cleanUrl);
         } catch (error) {
           console.error('❌ Manual retry failed:', error);
-          this.showError(`Failed to create pet profile: ${error.message}`);
+          this.showError(`Failed to create pet profile. ${getErrorMessage(error)}`);
           // Keep retry button visible
         }
       });
@@ -1006,6 +1194,9 @@ export class PetSignupStepper extends Component {
     this.petType = petType;
     this.petName = petName;
 
+    // Render the species' options before checking the saved ones
+    this.updateSpeciesOptions(petType);
+
     // Restore image if available
     if (imageDataUrl) {
       this.petImageDataUrl = imageDataUrl;
@@ -1030,9 +1221,9 @@ export class PetSignupStepper extends Component {
       if (breedInput) breedInput.value = formData.breed;
     }
 
-    if (formData.weight) {
-      const weightInput = form.querySelector(`input[name="pet_weight"][value="${formData.weight}"]`);
-      if (weightInput) weightInput.checked = true;
+    if (formData.weight_kg && this.refs.weightInput) {
+      this.refs.weightInput.value = String(fromKilograms(formData.weight_kg, this.refs.weightUnit?.value || 'kg'));
+      this.updateWeightClassText();
     }
 
     if (formData.allergies && formData.allergies.length > 0) {
@@ -1042,10 +1233,11 @@ export class PetSignupStepper extends Component {
       });
     }
 
-    
-
-    // Update weight options based on pet type
-    this.updateWeightOptions(petType);
+    // An empty value selects the "No boost" option
+    if (formData.health_boost !== undefined && formData.health_boost !== null) {
+      const boostInput = form.querySelector(`input[name="health_boost"][value="${formData.health_boost}"]`);
+      if (boostInput) boostInput.checked = true;
+    }
 
     // Update dynamic text
     this.updateDynamicText(petName);
@@ -0,0 +1,132 @@
+import { DEFAULT_SPECIES, normalizeSpecies } from '@theme/pet-profile-schema';
+
+/** Shown for pets whose species is no longer in the registry */
+const FALLBACK_ICON = '🐾';
+
+/** @type {Record<string, import('./pet-profile-schema').Species> | null} */
+let registry = null;
+
+/**
+ * Get the store's species, keyed by pet_profile type
+ * Read from the pet_species metaobjects rendered by snippets/pet-species-registry.liquid,
+ * or the dog and cat defaults when the store hasn't set any up.
+ * @returns {Record<string, import('./pet-profile-schema').Species>}
+ */
+export function getSpeciesRegistry() {
+  if (registry) return registry;
+
+  const script = document.getElementById('pet-species-registry');
+  registry = DEFAULT_SPECIES;
+
+  if (script?.textContent) {
+    try {
+      /** @type {Record<string, Partial<import('./pet-profile-schema').Species>>} */
+      const entries = JSON.parse(script.textContent);
+      if (Object.keys(entries).length > 0) {
+        registry = Object.fromEntries(Object.entries(entries).map(([type, species]) => [type, normalizeSpecies(type, species)]));
+      }
+    } catch (error) {
+      console.error('Error parsing pet species registry:', error);
+    }
+  }
+
+  return registry;
+}
+
+/**
+ * Get a species from the registry
+ * @param {string | undefined} type - The pet's type, e.g. "dog"
+ * @returns {import('./pet-profile-schema').Species | null}
+ */
+export function getSpecies(type) {
+  return (type && getSpeciesRegistry()[type]) || null;
+}
+
+/**
+ * Get the emoji for a pet's species
+ * @param {string | undefined} type
+ * @returns {string}
+ */
+export function getSpeciesIcon(type) {
+  return getSpecies(type)?.icon || FALLBACK_ICON;
+}
+
+/**
+ * Get a weight class of a pet's species
+ * Falls back to any species with that weight class, for pets saved before their species changed.
+ * @param {string | undefined} type
+ * @param {string | undefined} weight - e.g. "medium"
+ * @returns {import('./pet-profile-schema').SpeciesWeightClass | null}
+ */
+export function getWeightClass(type, weight) {
+  if (!weight) return null;
+
+  const species = getSpecies(type);
+  const candidates = species ? [species] : Object.values(getSpeciesRegistry());
+
+  for (const { weight_classes } of candidates) {
+    const weightClass = weight_classes.find((option) => option.value === weight);
+    if (weightClass) return weightClass;
+  }
+
+  return null;
+}
+
+/**
+ * Describe a weight class, e.g. "Perfect medium (25-50lbs)"
+ * @param {string | undefined} type
+ * @param {string | undefined} weight
+ * @returns {string} The raw value when the weight class is unknown
+ */
+export function formatWeightClass(type, weight) {
+  const weightClass = getWeightClass(type, weight);
+  if (!weightClass) return weight || '';
+
+  return weightClass.description ? `${weightClass.label} (${weightClass.description})` : weightClass.label;
+}
+
+/**
+ * Get an allergen from any species
+ * @param {string} value - e.g. "chicken"
+ * @returns {import('./pet-profile-schema').SpeciesAllergen}
+ */
+export function getAllergen(value) {
+  for (const { allergens } of Object.values(getSpeciesRegistry())) {
+    const allergen = allergens.find((option) => option.value === value);
+    if (allergen) return allergen;
+  }
+
+  return { value, label: value.charAt(0).toUpperCase() + value.slice(1) };
+}
+
+/**
+ * Build the allergen checkbox cards of a species for the pet forms
+ * @param {import('./pet-profile-schema').Species | null} species
+ * @returns {HTMLLabelElement[]}
+ */
+export function createAllergyOptions(species) {
+  return (species?.allergens || []).map((allergen) => {
+    const label = document.createElement('label');
+    label.className = 'checkbox-card';
+
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.name = 'allergies';
+    input.value = allergen.value;
+
+    const content = document.createElement('span');
+    content.className = 'checkbox-card__content';
+
+    const icon = document.createElement('span');
+    icon.className = 'checkbox-card__icon';
+    icon.textContent = allergen.icon || '';
+
+    const text = document.createElement('span');
+    text.className = 'checkbox-card__label';
+    text.textContent = allergen.label;
+
+    content.append(icon, text);
+    label.append(input, content);
+    return label;
+  });
+}
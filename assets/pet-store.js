@@ -0,0 +1,303 @@
+import { listPets } from '@theme/pet-api';
+import { PetCreatedEvent, PetUpdatedEvent, PetDeletedEvent, PetSelectedEvent } from '@theme/events';
+
+/**
+ * localStorage key holding cached pets for every customer that signed in on this browser
+ */
+const STORAGE_KEY = 'customer_pets';
+
+/**
+ * sessionStorage key holding the ID of the pet the customer is shopping for
+ */
+const ACTIVE_PET_KEY = 'active_pet_id';
+
+/**
+ * Cached pets younger than this are served without a background refresh
+ */
+const MAX_AGE_MS = 30 * 1000;
+
+/**
+ * @typedef {Object} Pet
+ * @property {string} id - Metaobject ID, or `temp-*` for pets only saved locally
+ * @property {string} name
+ * @property {string} type
+ * @property {string[]} allergies
+ * @property {string} [weight] - Weight class, derived from weight_kg when the customer gave one
+ * @property {number | null} [weight_kg] - Exact weight
+ * @property {Array<{ date: string, weight_kg: number }>} [weight_history] - Oldest first, one entry per day the weight changed
+ * @property {string} [birthday] - YYYY-MM-DD
+ * @property {string} [health_boost]
+ * @property {'owner' | 'shared'} [role] - Shared pets were added through an owner's share link and can't be deleted
+ * @property {string} [customer_id]
+ */
+
+/**
+ * @callback PetSubscriber
+ * @param {Pet[]} pets - The signed-in customer's pets after the change
+ */
+
+/**
+ * Pet Store
+ * Single cache of the signed-in customer's pets, shared by every pet component on the page.
+ * Serves cached pets straight away and refreshes them from the app in the background
+ * (stale-while-revalidate). Changes are persisted to localStorage, announced to subscribers
+ * and dispatched on the document as pet:created, pet:updated and pet:deleted events.
+ */
+class PetStore {
+  /** @type {string | null} */
+  #customerId = null;
+
+  /** @type {Pet[] | null} */
+  #pets = null;
+
+  /** @type {number} */
+  #fetchedAt = 0;
+
+  /** @type {Promise<Pet[]> | null} */
+  #revalidation = null;
+
+  /** @type {Set<PetSubscriber>} */
+  #subscribers = new Set();
+
+  constructor() {
+    // Another tab changed the cache
+    window.addEventListener('storage', (event) => {
+      if (event.key !== STORAGE_KEY || !this.#customerId) return;
+
+      this.#pets = readCache(this.#customerId);
+      this.#notify();
+    });
+  }
+
+  /**
+   * Get the customer's pets synchronously from memory or localStorage
+   * @param {string} customerId
+   * @returns {Pet[]}
+   */
+  get(customerId) {
+    this.#useCustomer(customerId);
+    return this.#pets ?? (this.#pets = readCache(customerId));
+  }
+
+  /**
+   * Load the customer's pets, answering from the cache when it has any and refreshing it in the background
+   * Only waits for the app when nothing is cached yet; that request's errors are passed on.
+   * @param {string} customerId
+   * @returns {Promise<Pet[]>}
+   */
+  async load(customerId) {
+    const cached = this.get(customerId);
+
+    if (cached.length === 0) {
+      return this.revalidate();
+    }
+
+    if (Date.now() - this.#fetchedAt > MAX_AGE_MS) {
+      this.revalidate().catch((error) => {
+        console.warn('⚠️ Could not refresh pets, keeping cached copy:', error);
+      });
+    }
+
+    return cached;
+  }
+
+  /**
+   * Fetch the customer's pets from the app and replace the cache
+   * Concurrent calls share one request.
+   * @returns {Promise<Pet[]>}
+   */
+  revalidate() {
+    const customerId = this.#customerId;
+    if (!customerId) return Promise.resolve([]);
+
+    const revalidation =
+      this.#revalidation ??
+      listPets()
+        .then((pets) => {
+          const normalized = pets.map(normalizePet);
+
+          // The customer changed while the request was in flight
+          if (customerId !== this.#customerId) return normalized;
+
+          this.#fetchedAt = Date.now();
+          this.#setPets(normalized);
+          return normalized;
+        })
+        .finally(() => {
+          this.#revalidation = null;
+        });
+
+    this.#revalidation = revalidation;
+    return revalidation;
+  }
+
+  /**
+   * Add a newly created pet
+   * @param {Pet} pet
+   * @param {string} customerId
+   */
+  add(pet, customerId) {
+    const pets = this.get(customerId).filter((existing) => String(existing.id) !== String(pet.id));
+    const added = normalizePet(pet);
+
+    this.#setPets([...pets, added]);
+    document.dispatchEvent(new PetCreatedEvent(added));
+  }
+
+  /**
+   * Merge changes into a cached pet
+   * @param {Pet} pet - Must include the pet's id
+   * @param {string} customerId
+   */
+  update(pet, customerId) {
+    /** @type {Pet | null} */
+    let updated = null;
+
+    const pets = this.get(customerId).map((existing) => {
+      if (String(existing.id) !== String(pet.id)) return existing;
+      return (updated = normalizePet({ ...existing, ...pet }));
+    });
+
+    // The page was opened before this pet was cached
+    if (!updated) {
+      updated = normalizePet(pet);
+      pets.push(updated);
+    }
+
+    this.#setPets(pets);
+    document.dispatchEvent(new PetUpdatedEvent(updated));
+  }
+
+  /**
+   * Remove a deleted pet
+   * @param {string} petId
+   * @param {string} customerId
+   */
+  remove(petId, customerId) {
+    this.#setPets(this.get(customerId).filter((pet) => String(pet.id) !== String(petId)));
+    document.dispatchEvent(new PetDeletedEvent(petId));
+  }
+
+  /**
+   * Get the pet the customer is shopping for
+   * Defaults to their first pet until they pick one in a pet selector.
+   * @param {string} customerId
+   * @returns {Pet | null}
+   */
+  getActivePet(customerId) {
+    const pets = this.get(customerId);
+    const activePetId = sessionStorage.getItem(ACTIVE_PET_KEY);
+
+    return pets.find((pet) => String(pet.id) === activePetId) ?? pets[0] ?? null;
+  }
+
+  /**
+   * Remember which pet the customer is shopping for, for the rest of the session
+   * @param {string} petId
+   * @param {string} customerId
+   */
+  setActivePet(petId, customerId) {
+    if (sessionStorage.getItem(ACTIVE_PET_KEY) === String(petId)) return;
+
+    sessionStorage.setItem(ACTIVE_PET_KEY, String(petId));
+    document.dispatchEvent(new PetSelectedEvent(this.getActivePet(customerId)));
+  }
+
+  /**
+   * Get notified whenever the customer's pets change, including from other tabs
+   * @param {PetSubscriber} callback
+   * @returns {() => void} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.#subscribers.add(callback);
+    return () => this.#subscribers.delete(callback);
+  }
+
+  /**
+   * Switch the in-memory cache to another customer
+   * @param {string} customerId
+   */
+  #useCustomer(customerId) {
+    if (customerId === this.#customerId) return;
+
+    this.#customerId = customerId;
+    this.#pets = null;
+    this.#fetchedAt = 0;
+    this.#revalidation = null;
+  }
+
+  /**
+   * Replace the cached pets, persist them and tell subscribers
+   * @param {Pet[]} pets
+   */
+  #setPets(pets) {
+    this.#pets = pets;
+    if (this.#customerId) writeCache(this.#customerId, pets);
+    this.#notify();
+  }
+
+  #notify() {
+    const pets = this.#pets ?? [];
+    this.#subscribers.forEach((callback) => callback(pets));
+  }
+}
+
+/**
+ * Read every cached pet, whoever it belongs to
+ * @returns {Pet[]}
+ */
+function readAllCached() {
+  try {
+    const pets = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(pets) ? pets : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Read the customer's cached pets
+ * Pets cached before customer_id was recorded are skipped, since they may be another customer's
+ * on a shared device; the next write drops them and the app's list replaces them.
+ * @param {string} customerId
+ * @returns {Pet[]}
+ */
+function readCache(customerId) {
+  return readAllCached()
+    .filter((pet) => pet.customer_id === customerId)
+    .map(normalizePet);
+}
+
+/**
+ * Replace the customer's cached pets, leaving other customers' pets alone
+ * @param {string} customerId
+ * @param {Pet[]} pets
+ */
+function writeCache(customerId, pets) {
+  const otherPets = readAllCached().filter((pet) => pet.customer_id && pet.customer_id !== customerId);
+  const customerPets = pets.map((pet) => ({ ...pet, customer_id: customerId }));
+
+  localStorage.setItem(STORAGE_KEY, JSON.stringify([...otherPets, ...customerPets]));
+}
+
+/**
+ * Make sure allergies is always an array, older caches stored it as a JSON string
+ * @param {Pet} pet
+ * @returns {Pet}
+ */
+function normalizePet(pet) {
+  /** @type {unknown} */
+  let allergies = pet.allergies;
+
+  if (typeof allergies === 'string') {
+    try {
+      allergies = JSON.parse(allergies);
+    } catch (e) {
+      allergies = [allergies];
+    }
+  }
+
+  return { ...pet, allergies: Array.isArray(allergies) ? allergies : [] };
+}
+
+export const petStore = new PetStore();
@@ -0,0 +1,72 @@
+/**
+ * @typedef {'lb' | 'kg'} WeightUnit
+ */
+
+/** Countries where pet weights are usually given in pounds */
+const POUND_COUNTRIES = ['US', 'LR', 'MM'];
+
+/** @type {Record<string, number> & Record<WeightUnit, number>} */
+const KILOGRAMS_PER_UNIT = {
+  g: 0.001,
+  kg: 1,
+  oz: 0.0283495,
+  lb: 0.453592,
+};
+
+/**
+ * Get the unit customers of the storefront's country expect
+ * @param {string} [country] - ISO code, defaults to the storefront's country
+ * @returns {WeightUnit}
+ */
+export function getPreferredWeightUnit(country = window.Shopify?.country) {
+  return country && POUND_COUNTRIES.includes(country.toUpperCase()) ? 'lb' : 'kg';
+}
+
+/**
+ * Convert a weight to kilograms
+ * @param {number} value
+ * @param {string} unit - g, kg, oz or lb, as used by Shopify weight metafields
+ * @returns {number | null} Null for an unknown unit
+ */
+export function toKilograms(value, unit) {
+  const factor = KILOGRAMS_PER_UNIT[String(unit).toLowerCase()];
+  return factor ? value * factor : null;
+}
+
+/**
+ * Convert kilograms to a unit, rounded to one decimal
+ * @param {number} kilograms
+ * @param {WeightUnit} unit
+ * @returns {number}
+ */
+export function fromKilograms(kilograms, unit) {
+  return Math.round((kilograms / KILOGRAMS_PER_UNIT[unit]) * 10) / 10;
+}
+
+/**
+ * Format a weight, e.g. "24.3 lb"
+ * @param {number} kilograms
+ * @param {WeightUnit} [unit]
+ * @returns {string}
+ */
+export function formatWeight(kilograms, unit = getPreferredWeightUnit()) {
+  return `${fromKilograms(kilograms, unit).toLocaleString()} ${unit}`;
+}
+
+/**
+ * Parse the weight history stored on a pet profile
+ * @param {Array<{ date: string, weight_kg: number }> | string | undefined} value - Parsed or as JSON
+ * @returns {Array<{ date: string, weight_kg: number }>} Oldest first
+ */
+export function parseWeightHistory(value) {
+  let history = value;
+  if (typeof history === 'string') {
+    try {
+      history = JSON.parse(history || '[]');
+    } catch (error) {
+      return [];
+    }
+  }
+
+  return Array.isArray(history) ? history.filter((entry) => entry && entry.date && entry.weight_kg > 0) : [];
+}
@@ -244,6 +244,15 @@ class ProductFormComponent extends Component {
 
     if (!form) throw new Error('Product form element missing');
 
+    // Pets ticked in the pet selector's multi-pet mode are added as one line each in a single request,
+    // so that mode needs at least one pet ticked
+    const petItems = this.#getPetSelector(form)?.getPetItems() ?? null;
+
+    if (petItems ? petItems.length === 0 : this.#isMissingRequiredPet(form)) {
+      this.#showPetRequiredError(form);
+      return;
+    }
+
     const quantitySelector = /** @type {any} */ (this.querySelector('quantity-selector-component'));
     if (quantitySelector?.canAddToCart) {
       const validation = quantitySelector.canAddToCart();
@@ -285,6 +294,7 @@ class ProductFormComponent extends Component {
     const formData = new FormData(form);
 
     const cartItemsComponents = document.querySelectorAll('cart-items-component');
+    /** @type {string[]} */
     let cartItemComponentsSectionIds = [];
     cartItemsComponents.forEach((item) => {
       if (item instanceof HTMLElement && item.dataset.sectionId) {
@@ -293,7 +303,15 @@ class ProductFormComponent extends Component {
       formData.append('sections', cartItemComponentsSectionIds.join(','));
     });
 
-    const fetchCfg = fetchConfig('javascript', { body: formData });
+    const itemCount = petItems
+      ? petItems.reduce((total, item) => total + item.quantity, 0)
+      : Number(formData.get('quantity')) || Number(this.dataset.quantityDefault);
+
+    const fetchCfg = petItems
+      ? fetchConfig('json', {
+          body: JSON.stringify(this.#getPetItemsBody(formData, petItems, cartItemComponentsSectionIds.join(','))),
+        })
+      : fetchConfig('javascript', { body: formData });
 
     fetch(Theme.routes.cart_add_url, {
       ...fetchCfg,
@@ -338,7 +356,7 @@ class ProductFormComponent extends Component {
             new CartAddEvent({}, this.id, {
               didError: true,
               source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
+              itemCount,
               productId: this.dataset.productId,
             })
           );
@@ -373,7 +391,7 @@ class ProductFormComponent extends Component {
           this.dispatchEvent(
             new CartAddEvent({}, id.toString(), {
               source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
+              itemCount,
               productId: this.dataset.productId,
               sections: response.sections,
             })
@@ -405,6 +423,105 @@ class ProductFormComponent extends Component {
     }
   }
 
+  /**
+   * Whether the product needs a pet and none is selected.
+   * Pet labels are printed from the `_Pet ID` and `Pet Name` properties, so the line can't be added without them.
+   * @param {HTMLFormElement} form - The product form.
+   * @returns {boolean}
+   */
+  #isMissingRequiredPet(form) {
+    const petSelect = this.#getPetSelect(form);
+    const isRequired = this.dataset.petRequired === 'true' || Boolean(petSelect?.required);
+
+    if (!isRequired) return false;
+
+    return !new FormData(form).get('properties[_Pet ID]');
+  }
+
+  /**
+   * Finds the pet selector whose dropdown is attached to the form.
+   * @param {HTMLFormElement} form - The product form.
+   * @returns {import('./pet-selector').PetSelector | null}
+   */
+  #getPetSelector(form) {
+    return /** @type {import('./pet-selector').PetSelector | null} */ (
+      this.#getPetSelect(form)?.closest('pet-selector') ?? null
+    );
+  }
+
+  /**
+   * Builds a `/cart/add.js` body with one item per pet.
+   * Each item gets the form's own line item properties plus the pet's.
+   * @param {FormData} formData - The product form data.
+   * @param {Array<{ quantity: number, properties: Record<string, string> }>} petItems - From the pet selector.
+   * @param {string} sections - The cart sections to render.
+   * @returns {{ items: object[], sections: string }}
+   */
+  #getPetItemsBody(formData, petItems, sections) {
+    /** @type {Record<string, string>} */
+    const properties = {};
+    for (const [name, value] of formData) {
+      const property = name.match(/^properties\[(.+)\]$/)?.[1];
+      if (property && typeof value === 'string' && value !== '') properties[property] = value;
+    }
+
+    const sellingPlan = formData.get('selling_plan');
+
+    const items = petItems.map((item) => {
+      const petProperties = Object.fromEntries(Object.entries(item.properties).filter(([, value]) => value !== ''));
+
+      return {
+        id: Number(formData.get('id')),
+        quantity: item.quantity,
+        properties: { ...properties, ...petProperties },
+        ...(sellingPlan ? { selling_plan: Number(sellingPlan) } : {}),
+      };
+    });
+
+    return { items, sections };
+  }
+
+  /**
+   * Finds the pet selector dropdown attached to the form through its `form` attribute.
+   * @param {HTMLFormElement} form - The product form.
+   * @returns {HTMLSelectElement | undefined}
+   */
+  #getPetSelect(form) {
+    return /** @type {HTMLSelectElement | undefined} */ (
+      Array.from(form.elements).find((element) => element instanceof HTMLSelectElement && element.closest('pet-selector'))
+    );
+  }
+
+  /**
+   * Shows the missing pet error and moves focus to the pet selector.
+   * @param {HTMLFormElement} form - The product form.
+   */
+  #showPetRequiredError(form) {
+    const { addToCartTextError } = this.refs;
+    const errorMessage = Theme.translations.pet_required_error || '';
+
+    if (addToCartTextError) {
+      addToCartTextError.classList.remove('hidden');
+
+      const textNode = addToCartTextError.childNodes[2];
+      if (textNode) {
+        textNode.textContent = errorMessage;
+      } else {
+        addToCartTextError.appendChild(document.createTextNode(errorMessage));
+      }
+    }
+
+    this.#setLiveRegionText(errorMessage);
+
+    const petSelect = this.#getPetSelect(form);
+    if (petSelect && petSelect.checkVisibility()) petSelect.focus();
+
+    this.#timeout = setTimeout(() => {
+      addToCartTextError?.classList.add('hidden');
+      this.#clearLiveRegionText();
+    }, ERROR_MESSAGE_DISPLAY_DURATION);
+  }
+
   /**
    * @param {*} text
    */
@@ -1,3 +1,9 @@
+import { ThemeEvents } from '@theme/events';
+import { petStore } from '@theme/pet-store';
+import { readPetProductData, matchProductToPet } from '@theme/pet-product-match';
+
+/** @typedef {import('./pet-store').Pet} Pet */
+
 class ProductRecommendations extends HTMLElement {
   /**
    * The observer for the product recommendations
@@ -53,9 +59,31 @@ class ProductRecommendations extends HTMLElement {
    */
   #activeFetch = null;
 
+  /**
+   * The section markup the current recommendations were rendered from, kept to re-rank for another pet
+   * @type {string | null}
+   */
+  #renderedHTML = null;
+
   connectedCallback() {
     this.#intersectionObserver.observe(this);
     this.#mutationObserver.observe(this, { attributes: true });
+
+    if (this.#isPetAware) {
+      document.addEventListener(ThemeEvents.petSelected, this.#onPetSelected);
+    }
+  }
+
+  disconnectedCallback() {
+    document.removeEventListener(ThemeEvents.petSelected, this.#onPetSelected);
+  }
+
+  /**
+   * Whether the section personalizes recommendations for the signed-in customer's pet
+   * @returns {boolean}
+   */
+  get #isPetAware() {
+    return this.dataset.petAware === 'true' && Boolean(this.dataset.customerId);
   }
 
   /**
@@ -75,8 +103,8 @@ class ProductRecommendations extends HTMLElement {
       return;
     }
 
-    this.#fetchCachedRecommendations(productId, sectionId, intent)
-      .then((result) => {
+    Promise.all([this.#fetchCachedRecommendations(productId, sectionId, intent), this.#loadActivePet()])
+      .then(([result, pet]) => {
         if (!result.success) {
           // The Theme Editor will place a section element element in the DOM whose section_id is not available
           // to the Section Renderer API. In this case, we can safely ignore the error.
@@ -86,22 +114,123 @@ class ProductRecommendations extends HTMLElement {
           return;
         }
 
-        const html = document.createElement('div');
-        html.innerHTML = result.data || '';
-        const recommendations = html.querySelector(`product-recommendations[id="${id}"]`);
-
-        if (recommendations?.innerHTML && recommendations.innerHTML.trim().length) {
-          this.dataset.recommendationsPerformed = 'true';
-          this.innerHTML = recommendations.innerHTML;
-        } else {
-          this.#handleError(new Error('No recommendations available'));
-        }
+        this.#renderRecommendations(result.data || '', pet);
       })
       .catch((e) => {
         this.#handleError(e);
       });
   }
 
+  /**
+   * Replace the contents with the recommendations from the section markup
+   * @param {string} sectionHTML - The rendered section
+   * @param {Pet | null} pet - The pet to personalize for, if any
+   */
+  #renderRecommendations(sectionHTML, pet) {
+    const html = document.createElement('div');
+    html.innerHTML = sectionHTML;
+    const recommendations = html.querySelector(`product-recommendations[id="${this.id}"]`);
+
+    if (!recommendations?.innerHTML || !recommendations.innerHTML.trim().length) {
+      this.#handleError(new Error('No recommendations available'));
+      return;
+    }
+
+    this.#renderedHTML = sectionHTML;
+
+    // Rank before the markup is added to the page, so carousels set up with the final slides
+    if (this.dataset.maxProducts && !this.#rankProducts(recommendations, pet)) {
+      this.#handleError(new Error(`No recommendations suitable for ${pet?.name}`));
+      return;
+    }
+
+    this.dataset.recommendationsPerformed = 'true';
+    this.innerHTML = recommendations.innerHTML;
+  }
+
+  /**
+   * Remove products that don't suit the pet, put the best matches first and trim to the section's product count
+   * Without a pet the products keep Shopify's order.
+   * @param {Element} recommendations - The parsed recommendations element
+   * @param {Pet | null} pet
+   * @returns {boolean} Whether any products are left
+   */
+  #rankProducts(recommendations, pet) {
+    const maxProducts = Number(this.dataset.maxProducts);
+    let hasProducts = false;
+
+    // Grids and mobile carousels each have their own list of the same products
+    for (const list of recommendations.querySelectorAll('.resource-list')) {
+      const items = Array.from(list.querySelectorAll('.resource-list__item'));
+
+      const ranked = items
+        .map((item, index) => {
+          const productCard = item.querySelector('product-card');
+          const match =
+            pet && productCard instanceof HTMLElement
+              ? matchProductToPet(pet, readPetProductData(productCard))
+              : { suitable: true, score: 0 };
+
+          return { item, index, ...match };
+        })
+        .filter(({ suitable }) => suitable)
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .slice(0, maxProducts);
+
+      // Move the cards rather than the items, so carousel slides keep their position attributes
+      const cards = ranked.map(({ item }) => Array.from(item.childNodes));
+
+      items.forEach((item, index) => {
+        const card = cards[index];
+        if (card) {
+          item.replaceChildren(...card);
+        } else {
+          (item.closest('.resource-list__slide') ?? item).remove();
+        }
+      });
+
+      hasProducts ||= cards.length > 0;
+    }
+
+    const heading = recommendations.querySelector('.product-recommendations__pet-heading');
+    if (pet && heading instanceof HTMLElement) {
+      heading.textContent = (heading.dataset.template ?? '').replace(/\[pet_name\]/g, pet.name);
+      heading.hidden = false;
+      recommendations.querySelector('.section-resource-list__content')?.setAttribute('hidden', '');
+    }
+
+    return hasProducts;
+  }
+
+  /**
+   * Get the pet to personalize for, loading the customer's pets if they aren't cached yet
+   * @returns {Promise<Pet | null>}
+   */
+  async #loadActivePet() {
+    const { customerId } = this.dataset;
+    if (!this.#isPetAware || !customerId) return null;
+
+    try {
+      await petStore.load(customerId);
+    } catch (error) {
+      console.warn('Could not load pets for recommendations:', error);
+    }
+
+    return petStore.getActivePet(customerId);
+  }
+
+  /**
+   * Re-rank the loaded recommendations for the newly selected pet
+   * @param {import('./events').PetSelectedEvent} event
+   */
+  #onPetSelected = (event) => {
+    if (!this.#renderedHTML) return;
+
+    this.classList.remove('hidden');
+    delete this.dataset.error;
+    this.#renderRecommendations(this.#renderedHTML, event.detail.pet);
+  };
+
   /**
    * Fetches the recommendations and cached the result for future use
    * @param {string} productId
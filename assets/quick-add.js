@@ -161,6 +161,7 @@ export class QuickAddComponent extends Component {
       const productFormComponent = productGrid.querySelector('product-form-component');
       const variantPicker = productGrid.querySelector('variant-picker');
       const productPrice = productGrid.querySelector('product-price');
+      const petSelector = productGrid.querySelector('pet-selector');
       const productTitle = document.createElement('a');
       productTitle.textContent = this.dataset.productTitle || '';
 
@@ -179,6 +180,9 @@ export class QuickAddComponent extends Component {
       if (variantPicker) {
         productGrid.appendChild(variantPicker);
       }
+      if (petSelector) {
+        productGrid.appendChild(petSelector);
+      }
       if (productFormComponent) {
         productGrid.appendChild(productFormComponent);
       }
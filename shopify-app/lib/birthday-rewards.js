@@ -0,0 +1,385 @@
+/**
+ * Birthday rewards job
+ *
+ * Finds pets with a birthday in the next few days and gives their owner (not the household
+ * members the pet is shared with) a single-use
+ * discount code. Each reward is recorded in the customer's custom.pet_birthday_rewards
+ * metafield, which the theme reads for its birthday banners, and the customer is tagged
+ * so marketing tools can send the code.
+ *
+ * The Admin API is reached only through the `graphql` function and today's date only
+ * through `now`, so the job can run against a mocked Admin API with a fixed clock.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const REWARDS_METAFIELD_NAMESPACE = 'custom';
+const REWARDS_METAFIELD_KEY = 'pet_birthday_rewards';
+const BIRTHDAY_TAG = 'pet-birthday';
+
+const DEFAULT_OPTIONS = {
+  // Reward pets whose birthday is within this many days, today included
+  daysAhead: 7,
+  // Codes stay valid for this many days after the birthday
+  validForDays: 14,
+  // Discount on the whole order
+  percentage: 15
+};
+
+const PETS_PAGE_SIZE = 100;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {(query: string, variables?: object, options?: { estimatedCost?: number }) => Promise<{ data: any }>} GraphQLClient
+ * Same signature as server.js shopifyGraphQL
+ */
+
+/**
+ * @typedef {Object} BirthdayReward
+ * @property {string} pet_id - Metaobject GID
+ * @property {string} pet_name
+ * @property {string} birthday - The birthday being celebrated, YYYY-MM-DD
+ * @property {string} code - The discount code
+ * @property {number} percentage
+ * @property {string} expires_at - ISO timestamp
+ */
+
+/**
+ * Reward every pet with an upcoming birthday that hasn't been rewarded for it yet
+ * Safe to run several times a day: a pet only gets one code per birthday.
+ * @param {Object} deps
+ * @param {GraphQLClient} deps.graphql - Admin API client
+ * @param {() => Date} [deps.now] - Clock
+ * @param {Partial<typeof DEFAULT_OPTIONS>} [options]
+ * @returns {Promise<{ checked: number, rewarded: Array<BirthdayReward & { customer_id: string }>, failed: Array<{ pet_id: string, customer_id: string, error: string }> }>}
+ */
+async function runBirthdayRewards({ graphql, now = () => new Date() }, options = {}) {
+  const { daysAhead, validForDays, percentage } = { ...DEFAULT_OPTIONS, ...options };
+  const today = now();
+  const summary = { checked: 0, rewarded: [], failed: [] };
+
+  for await (const pet of listPetsWithOwners(graphql)) {
+    summary.checked++;
+
+    const birthday = getUpcomingBirthday(pet.birthday, today, daysAhead);
+    if (!birthday || !pet.ownerId) continue;
+
+    const customerId = pet.ownerId;
+
+    try {
+      const reward = await rewardPet(graphql, {
+        customerId,
+        pet,
+        birthday,
+        percentage,
+        startsAt: today,
+        expiresAt: new Date(Date.parse(birthday) + (validForDays + 1) * MS_PER_DAY)
+      });
+
+      if (reward) {
+        summary.rewarded.push({ ...reward, customer_id: customerId });
+        logger.info('Birthday reward sent', { pet_id: pet.id, customer_id: customerId });
+      }
+    } catch (error) {
+      summary.failed.push({ pet_id: pet.id, customer_id: customerId, error: error.message });
+      logger.error('Birthday reward failed', { pet_id: pet.id, customer_id: customerId, error });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Get the next birthday of a pet if it falls within the window
+ * Pets born on 29 February celebrate on 28 February in other years.
+ * @param {string} birthday - YYYY-MM-DD
+ * @param {Date} today
+ * @param {number} daysAhead
+ * @returns {string|null} The birthday as YYYY-MM-DD, or null when it isn't coming up
+ */
+function getUpcomingBirthday(birthday, today, daysAhead) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(birthday || '');
+  if (!match) return null;
+
+  const [, birthYear, month, day] = match.map(Number);
+  const todayUtc = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+
+  // Checking next year too covers windows that cross New Year
+  for (const year of [today.getUTCFullYear(), today.getUTCFullYear() + 1]) {
+    if (year <= birthYear) continue;
+
+    const lastDayOfMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const date = Date.UTC(year, month - 1, Math.min(day, lastDayOfMonth));
+    const daysUntil = (date - todayUtc) / MS_PER_DAY;
+
+    if (daysUntil >= 0 && daysUntil <= daysAhead) {
+      return new Date(date).toISOString().slice(0, 10);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Record the reward on the customer, create its discount and tag them
+ * The reward is recorded first, with a compare-and-swap write: when another run got there first
+ * the write fails before any code exists, so a birthday never gets a second code.
+ * @returns {Promise<BirthdayReward|null>} null when the pet already has a code for this birthday
+ */
+async function rewardPet(graphql, { customerId, pet, birthday, percentage, startsAt, expiresAt }) {
+  const { rewards, compareDigest } = await fetchRewards(graphql, customerId);
+
+  if (rewards.some(reward => reward.pet_id === pet.id && reward.birthday === birthday)) {
+    return null;
+  }
+
+  const reward = {
+    pet_id: pet.id,
+    pet_name: pet.name,
+    birthday,
+    code: createDiscountCode(pet.name),
+    percentage,
+    expires_at: expiresAt.toISOString()
+  };
+
+  // Expired rewards are dropped so the metafield doesn't grow forever
+  const activeRewards = rewards.filter(existing => Date.parse(existing.expires_at) > startsAt.getTime());
+  await saveRewards(graphql, customerId, [...activeRewards, reward], compareDigest);
+
+  try {
+    await createBirthdayDiscount(graphql, customerId, reward, startsAt);
+  } catch (error) {
+    // A reward without a code must not count, so the next run tries again
+    await removeReward(graphql, customerId, reward).catch(rollbackError => {
+      logger.error('Could not remove birthday reward without a code', { pet_id: pet.id, customer_id: customerId, error: rollbackError });
+    });
+    throw error;
+  }
+
+  await tagCustomer(graphql, customerId);
+
+  return reward;
+}
+
+/**
+ * Take a reward back out of the customer's birthday rewards metafield
+ */
+async function removeReward(graphql, customerId, reward) {
+  const { rewards, compareDigest } = await fetchRewards(graphql, customerId);
+  await saveRewards(graphql, customerId, rewards.filter(existing => existing.code !== reward.code), compareDigest);
+}
+
+/**
+ * Page through every pet profile with its owner
+ * Pets created before sharing have no owner field; the one customer linking to them owns them.
+ * @param {GraphQLClient} graphql
+ * @returns {AsyncGenerator<{ id: string, name: string, birthday: string, ownerId: string|null }>}
+ */
+async function* listPetsWithOwners(graphql) {
+  const query = `
+    query BirthdayPets($first: Int!, $after: String) {
+      metaobjects(type: "pet_profile", first: $first, after: $after) {
+        nodes {
+          id
+          name: field(key: "name") {
+            value
+          }
+          birthday: field(key: "birthday") {
+            value
+          }
+          owner: field(key: "owner") {
+            value
+          }
+          referencedBy(first: 10) {
+            nodes {
+              referencer {
+                ... on Customer {
+                  id
+                }
+              }
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  let after = null;
+
+  do {
+    const response = await graphql(query, { first: PETS_PAGE_SIZE, after }, { estimatedCost: 150 });
+    const { nodes, pageInfo } = response.data.metaobjects;
+
+    for (const node of nodes) {
+      const customerIds = node.referencedBy.nodes
+        .map(relation => relation.referencer?.id)
+        .filter(Boolean);
+
+      yield {
+        id: node.id,
+        name: node.name?.value || '',
+        birthday: node.birthday?.value || '',
+        ownerId: node.owner?.value || (customerIds.length === 1 ? customerIds[0] : null)
+      };
+    }
+
+    after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (after);
+}
+
+/**
+ * Read the customer's birthday rewards metafield along with its compareDigest
+ * @returns {Promise<{ rewards: BirthdayReward[], compareDigest: string|null }>}
+ */
+async function fetchRewards(graphql, customerId) {
+  const query = `
+    query GetBirthdayRewards($id: ID!) {
+      customer(id: $id) {
+        metafield(namespace: "${REWARDS_METAFIELD_NAMESPACE}", key: "${REWARDS_METAFIELD_KEY}") {
+          value
+          compareDigest
+        }
+      }
+    }
+  `;
+
+  const response = await graphql(query, { id: customerId });
+  const metafield = response.data.customer?.metafield;
+
+  return {
+    rewards: metafield ? JSON.parse(metafield.value || '[]') : [],
+    compareDigest: metafield ? metafield.compareDigest : null
+  };
+}
+
+/**
+ * Write the customer's birthday rewards metafield
+ * @param {string|null} compareDigest - Fails if another run changed the rewards in the meantime
+ */
+async function saveRewards(graphql, customerId, rewards, compareDigest) {
+  const mutation = `
+    mutation SetBirthdayRewards($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        metafields {
+          id
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }
+  `;
+
+  const response = await graphql(mutation, {
+    metafields: [
+      {
+        ownerId: customerId,
+        namespace: REWARDS_METAFIELD_NAMESPACE,
+        key: REWARDS_METAFIELD_KEY,
+        value: JSON.stringify(rewards),
+        type: 'json',
+        compareDigest
+      }
+    ]
+  });
+
+  const { userErrors } = response.data.metafieldsSet;
+  if (userErrors && userErrors.length > 0) {
+    throw new Error(`Failed to save birthday rewards: ${userErrors[0].message}`);
+  }
+}
+
+/**
+ * Create a single-use code for the customer, valid until the reward expires
+ */
+async function createBirthdayDiscount(graphql, customerId, reward, startsAt) {
+  const mutation = `
+    mutation CreateBirthdayDiscount($basicCodeDiscount: DiscountCodeBasicInput!) {
+      discountCodeBasicCreate(basicCodeDiscount: $basicCodeDiscount) {
+        codeDiscountNode {
+          id
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }
+  `;
+
+  const response = await graphql(mutation, {
+    basicCodeDiscount: {
+      title: `Birthday: ${reward.pet_name} (${reward.birthday})`,
+      code: reward.code,
+      startsAt: startsAt.toISOString(),
+      endsAt: reward.expires_at,
+      usageLimit: 1,
+      appliesOncePerCustomer: true,
+      customerSelection: {
+        customers: { add: [customerId] }
+      },
+      customerGets: {
+        value: { percentage: reward.percentage / 100 },
+        items: { all: true }
+      }
+    }
+  });
+
+  const { userErrors } = response.data.discountCodeBasicCreate;
+  if (userErrors && userErrors.length > 0) {
+    throw new Error(`Failed to create birthday discount: ${userErrors[0].message}`);
+  }
+}
+
+/**
+ * Tag the customer so marketing automations can send the code
+ */
+async function tagCustomer(graphql, customerId) {
+  const mutation = `
+    mutation TagBirthdayCustomer($id: ID!, $tags: [String!]!) {
+      tagsAdd(id: $id, tags: $tags) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const response = await graphql(mutation, { id: customerId, tags: [BIRTHDAY_TAG] });
+
+  const { userErrors } = response.data.tagsAdd;
+  if (userErrors && userErrors.length > 0) {
+    throw new Error(`Failed to tag customer: ${userErrors[0].message}`);
+  }
+}
+
+/**
+ * Build a readable, hard to guess code, e.g. BDAY-BISCUIT-3F9A1C
+ */
+function createDiscountCode(petName) {
+  const name = String(petName)
+    .normalize('NFKD')
+    .replace(/[^a-zA-Z0-9]/g, '')
+    .toUpperCase()
+    .slice(0, 12);
+
+  const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+
+  return name ? `BDAY-${name}-${suffix}` : `BDAY-${suffix}`;
+}
+
+module.exports = {
+  runBirthdayRewards,
+  getUpcomingBirthday,
+  BIRTHDAY_TAG,
+  DEFAULT_OPTIONS
+};
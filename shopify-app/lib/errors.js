@@ -0,0 +1,89 @@
+/**
+ * Error classes for the pet API
+ *
+ * Routes throw these and the error handler in server.js turns them into
+ *   { success: false, error: <message>, code: <code>, request_id: <id>, field_errors?: {...} }
+ * with the class's HTTP status. `code` is stable and safe for clients to switch on; the theme
+ * keys its friendly messages by it (see assets/pet-api.js). Any other error is logged and
+ * answered with a generic 500 `internal_error`, so its details never reach the browser.
+ *
+ * | Code                 | Status | Meaning |
+ * |----------------------|--------|---------|
+ * | validation_failed    | 400    | The request or its data is invalid; field_errors says which fields |
+ * | share_link_invalid   | 400    | The share link is malformed, forged or expired |
+ * | unauthorized         | 401    | Missing or invalid app proxy/webhook signature, or no customer logged in |
+ * | forbidden            | 403    | The customer may not do this to a pet shared with them |
+ * | not_found            | 404    | The pet or health record doesn't exist or isn't the customer's |
+ * | conflict             | 409    | The pet already has a health record |
+ * | share_link_revoked   | 410    | The shared pet was deleted or has changed hands |
+ * | upstream_error       | 502    | The Shopify Admin API failed or rejected the change |
+ * | internal_error       | 500    | Anything else |
+ */
+
+class PetApiError extends Error {
+  /**
+   * @param {string} message - Safe to show to the customer
+   * @param {Object} [options]
+   * @param {number} [options.status] - HTTP status
+   * @param {string} [options.code] - Stable error code
+   */
+  constructor(message, { status = 500, code = 'internal_error' } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+  }
+}
+
+class ValidationError extends PetApiError {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {Record<string, string> | null} [options.fieldErrors] - Message per field
+   * @param {string} [options.code]
+   */
+  constructor(message, { fieldErrors = null, code = 'validation_failed' } = {}) {
+    super(message, { status: 400, code });
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+class AuthError extends PetApiError {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {boolean} [options.forbidden] - The caller is known but not allowed (403) rather than unauthenticated (401)
+   */
+  constructor(message, { forbidden = false } = {}) {
+    super(message, forbidden ? { status: 403, code: 'forbidden' } : { status: 401, code: 'unauthorized' });
+  }
+}
+
+class NotFoundError extends PetApiError {
+  /**
+   * @param {string} [message]
+   */
+  constructor(message = 'Not found') {
+    super(message, { status: 404, code: 'not_found' });
+  }
+}
+
+class UpstreamError extends PetApiError {
+  /**
+   * @param {string} message - Logged; customers see a generic message
+   * @param {Object} [options]
+   * @param {Array<{ field?: string[], message: string }>} [options.userErrors] - From an Admin API mutation
+   */
+  constructor(message, { userErrors = [] } = {}) {
+    super(message, { status: 502, code: 'upstream_error' });
+    this.userErrors = userErrors;
+  }
+}
+
+module.exports = {
+  PetApiError,
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  UpstreamError
+};
@@ -0,0 +1,123 @@
+/**
+ * Structured logger
+ *
+ * Writes one JSON object per line, e.g.
+ *   {"time":"2025-01-15T10:30:00.000Z","level":"info","msg":"Pet created","request_id":"…","pet_id":"gid://…"}
+ * Lines below LOG_LEVEL (debug, info, warn or error; info by default) are dropped.
+ *
+ * Customer data never belongs in logs: fields whose key is in REDACTED_KEYS are replaced,
+ * however deeply they are nested, so passing a whole request body can't leak it.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Keys whose values are personal or secret; matched case-insensitively
+const REDACTED_KEYS = new Set([
+  'authorization',
+  'birthday',
+  'body',
+  'breed',
+  'email',
+  'health_record',
+  'medications',
+  'name',
+  'notes',
+  'pet_data',
+  'phone',
+  'signature',
+  'token',
+  'variables',
+  'vet_email',
+  'vet_name',
+  'vet_phone',
+  'x-shopify-access-token'
+]);
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * @typedef {Object} Logger
+ * @property {(msg: string, fields?: Record<string, any>) => void} debug
+ * @property {(msg: string, fields?: Record<string, any>) => void} info
+ * @property {(msg: string, fields?: Record<string, any>) => void} warn
+ * @property {(msg: string, fields?: Record<string, any>) => void} error
+ * @property {(fields: Record<string, any>) => Logger} child - A logger adding fields to every line, e.g. the request ID
+ */
+
+/**
+ * Create a logger
+ * @param {Object} [options]
+ * @param {string} [options.level] - Lowest level written
+ * @param {Record<string, any>} [options.fields] - Added to every line
+ * @param {(line: string, level: string) => void} [options.write] - Defaults to stdout, stderr for warnings and errors
+ * @returns {Logger}
+ */
+function createLogger({ level = process.env.LOG_LEVEL || 'info', fields = {}, write = writeLine } = {}) {
+  const minimum = LEVELS[level] ?? LEVELS.info;
+
+  const log = (lineLevel, msg, lineFields = {}) => {
+    if (LEVELS[lineLevel] < minimum) return;
+
+    const entry = { time: new Date().toISOString(), level: lineLevel, msg, ...redact({ ...fields, ...lineFields }) };
+    write(JSON.stringify(entry), lineLevel);
+  };
+
+  return {
+    debug: (msg, lineFields) => log('debug', msg, lineFields),
+    info: (msg, lineFields) => log('info', msg, lineFields),
+    warn: (msg, lineFields) => log('warn', msg, lineFields),
+    error: (msg, lineFields) => log('error', msg, lineFields),
+    child: childFields => createLogger({ level, fields: { ...fields, ...childFields }, write })
+  };
+}
+
+/**
+ * Copy a value with personal and secret fields replaced, and errors turned into plain objects
+ * @param {any} value
+ * @param {number} [depth]
+ * @returns {any}
+ */
+function redact(value, depth = 0) {
+  if (depth > 6) return '[Truncated]';
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code ? { code: value.code } : {}),
+      stack: value.stack
+    };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        REDACTED_KEYS.has(key.toLowerCase()) ? REDACTED : redact(item, depth + 1)
+      ])
+    );
+  }
+
+  return value;
+}
+
+function writeLine(line, level) {
+  if (level === 'warn' || level === 'error') {
+    process.stderr.write(`${line}\n`);
+  } else {
+    process.stdout.write(`${line}\n`);
+  }
+}
+
+// Shared logger for the app and its jobs
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  createLogger,
+  redact
+};
@@ -0,0 +1,338 @@
+/**
+ * Local stand-in for the Shopify Admin GraphQL API
+ *
+ * Keeps metaobjects and customer metafields in memory and answers the queries and mutations
+ * this app sends, so the server and jobs can run without a store. Set SHOPIFY_ADMIN_API_MOCK=true
+ * to have server.js use it, or pass `graphql` to anything that takes a GraphQLClient.
+ *
+ * It recognises operations by their root fields rather than parsing GraphQL, and returns every
+ * field it knows about whatever the selection; callers only read what they asked for. Discount
+ * codes and customer tags are recorded but have no effect. Operations it doesn't know, such as
+ * photo uploads, throw.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * @typedef {Object} MockMetaobject
+ * @property {string} id
+ * @property {string} type
+ * @property {string} handle
+ * @property {string} updatedAt
+ * @property {Record<string, string|null>} fields
+ */
+
+/**
+ * @typedef {Object} MockMetafield
+ * @property {string} id
+ * @property {string} type
+ * @property {string} value
+ * @property {string} compareDigest
+ */
+
+/**
+ * Create an empty mock Admin API
+ * @param {Object} [options]
+ * @param {() => Date} [options.now] - Clock for updatedAt timestamps
+ * @returns {{ graphql: import('./pet-repository').GraphQLClient, metaobjects: Map<string, MockMetaobject>, metafields: Map<string, MockMetafield>, discounts: Map<string, Object>, tags: Map<string, Set<string>> }}
+ */
+function createMockAdminApi({ now = () => new Date() } = {}) {
+  /** @type {Map<string, MockMetaobject>} */
+  const metaobjects = new Map();
+  /** @type {Map<string, MockMetafield>} Keyed like "gid://shopify/Customer/1|custom.pets" */
+  const metafields = new Map();
+  /** @type {Map<string, Object>} discountCodeBasicCreate inputs by discount ID */
+  const discounts = new Map();
+  /** @type {Map<string, Set<string>>} Tags by customer GID */
+  const tags = new Map();
+  let nextId = 1;
+
+  const metafieldKey = (ownerId, namespace, key) => `${ownerId}|${namespace}.${key}`;
+  const digest = value => crypto.createHash('sha256').update(value).digest('hex');
+  const notFound = () => [{ field: ['id'], message: 'Record not found' }];
+
+  /**
+   * Metaobject IDs a metafield or metaobject field refers to
+   * @param {string|null|undefined} value - A GID, or a JSON list of them
+   * @returns {string[]}
+   */
+  function referencedIds(value) {
+    if (!value) return [];
+    if (value.startsWith('gid://')) return [value];
+    if (!value.startsWith('[')) return [];
+
+    try {
+      const list = JSON.parse(value);
+      return Array.isArray(list) ? list.filter(item => typeof item === 'string' && item.startsWith('gid://')) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * A metaobject as the API returns it, with `alias: field(key: "...")` selections filled in
+   * @param {MockMetaobject} metaobject
+   * @param {string} query
+   */
+  function toNode(metaobject, query) {
+    const node = {
+      id: metaobject.id,
+      type: metaobject.type,
+      handle: metaobject.handle,
+      updatedAt: metaobject.updatedAt,
+      fields: Object.entries(metaobject.fields).map(([key, value]) => ({ key, value, reference: null })),
+      referencedBy: { nodes: findReferencers(metaobject.id, query) }
+    };
+
+    for (const [, alias, key] of query.matchAll(/(\w+):\s*field\(key:\s*"(\w+)"\)/g)) {
+      node[alias] = key in metaobject.fields ? { value: metaobject.fields[key] } : null;
+    }
+
+    return node;
+  }
+
+  /**
+   * Customers and metaobjects referring to a metaobject, limited to the kinds the query selects
+   * @param {string} id
+   * @param {string} query
+   */
+  function findReferencers(id, query) {
+    const referencers = [];
+
+    if (/\.\.\. on Customer/.test(query)) {
+      for (const [key, metafield] of metafields) {
+        if (referencedIds(metafield.value).includes(id)) {
+          referencers.push({ referencer: { id: key.split('|')[0] } });
+        }
+      }
+    }
+
+    if (/referencer\s*{\s*\.\.\. on Metaobject/.test(query)) {
+      for (const metaobject of metaobjects.values()) {
+        if (Object.values(metaobject.fields).some(value => referencedIds(value).includes(id))) {
+          referencers.push({
+            referencer: {
+              id: metaobject.id,
+              type: metaobject.type,
+              updatedAt: metaobject.updatedAt,
+              fields: Object.entries(metaobject.fields).map(([key, value]) => ({ key, value }))
+            }
+          });
+        }
+      }
+    }
+
+    return referencers;
+  }
+
+  /**
+   * A page of items, with cursors being positions in the list
+   * @template T
+   * @param {T[]} items
+   * @param {{ first?: number, after?: string|null }} variables
+   */
+  function paginate(items, { first = 50, after = null }) {
+    const start = after ? Number(Buffer.from(after, 'base64').toString('utf8')) : 0;
+    const end = start + first;
+
+    return {
+      nodes: items.slice(start, end),
+      pageInfo: {
+        hasNextPage: end < items.length,
+        endCursor: end < items.length ? Buffer.from(String(end)).toString('base64') : null
+      }
+    };
+  }
+
+  /**
+   * Apply metafieldsSet inputs, checking compareDigest like Shopify does
+   * @param {Array<{ ownerId: string, namespace: string, key: string, value: string, type: string, compareDigest?: string|null }>} inputs
+   */
+  function setMetafields(inputs) {
+    for (const input of inputs) {
+      const existing = metafields.get(metafieldKey(input.ownerId, input.namespace, input.key));
+
+      if ('compareDigest' in input && (existing?.compareDigest ?? null) !== input.compareDigest) {
+        return {
+          metafields: null,
+          userErrors: [{ field: ['metafields', 'compareDigest'], message: 'The resource has been updated since it was loaded.', code: 'STALE_OBJECT' }]
+        };
+      }
+    }
+
+    const saved = inputs.map(input => {
+      const key = metafieldKey(input.ownerId, input.namespace, input.key);
+      const metafield = {
+        id: metafields.get(key)?.id || `gid://shopify/Metafield/${nextId++}`,
+        type: input.type,
+        value: input.value,
+        compareDigest: digest(input.value)
+      };
+
+      metafields.set(key, metafield);
+      return { id: metafield.id };
+    });
+
+    return { metafields: saved, userErrors: [] };
+  }
+
+  /**
+   * Answer one query or mutation
+   * @param {string} query
+   * @param {Record<string, any>} [variables]
+   * @returns {Promise<{ data: any }>}
+   */
+  async function graphql(query, variables = {}) {
+    if (/\bmetaobjectCreate\(/.test(query)) {
+      const { type, handle, fields = [] } = variables.metaobject;
+      const id = `gid://shopify/Metaobject/${nextId++}`;
+      const metaobject = {
+        id,
+        type,
+        handle: handle || `${type.replace(/_/g, '-')}-${crypto.randomBytes(4).toString('hex')}`,
+        updatedAt: now().toISOString(),
+        fields: Object.fromEntries(fields.map(field => [field.key, field.value]))
+      };
+
+      metaobjects.set(id, metaobject);
+      return { data: { metaobjectCreate: { metaobject: toNode(metaobject, query), userErrors: [] } } };
+    }
+
+    if (/\bmetaobjectUpdate\(/.test(query)) {
+      const metaobject = metaobjects.get(variables.id);
+      if (!metaobject) {
+        return { data: { metaobjectUpdate: { metaobject: null, userErrors: notFound() } } };
+      }
+
+      (variables.metaobject.fields || []).forEach(field => {
+        metaobject.fields[field.key] = field.value;
+      });
+      metaobject.updatedAt = now().toISOString();
+
+      return { data: { metaobjectUpdate: { metaobject: toNode(metaobject, query), userErrors: [] } } };
+    }
+
+    if (/\bmetaobjectDelete\(/.test(query)) {
+      const deleted = metaobjects.delete(variables.id);
+      return {
+        data: { metaobjectDelete: { deletedId: deleted ? variables.id : null, userErrors: deleted ? [] : notFound() } }
+      };
+    }
+
+    if (/\bmetafieldsSet\(/.test(query)) {
+      return { data: { metafieldsSet: setMetafields(variables.metafields) } };
+    }
+
+    if (/\bmetafieldsDelete\(/.test(query)) {
+      const deletedMetafields = variables.metafields.map(({ ownerId, namespace, key }) =>
+        metafields.delete(metafieldKey(ownerId, namespace, key)) ? { ownerId, namespace, key } : null
+      );
+      return { data: { metafieldsDelete: { deletedMetafields, userErrors: [] } } };
+    }
+
+    if (/\bcustomerUpdate\(/.test(query)) {
+      const { id, metafields: inputs = [] } = variables.input;
+      const result = setMetafields(inputs.map(input => ({ ...input, ownerId: id })));
+      return { data: { customerUpdate: { customer: result.userErrors.length ? null : { id }, userErrors: result.userErrors } } };
+    }
+
+    if (/\bdiscountCodeBasicCreate\(/.test(query)) {
+      const input = variables.basicCodeDiscount;
+
+      if ([...discounts.values()].some(discount => discount.code === input.code)) {
+        return {
+          data: { discountCodeBasicCreate: { codeDiscountNode: null, userErrors: [{ field: ['basicCodeDiscount', 'code'], message: 'Code must be unique.', code: 'TAKEN' }] } }
+        };
+      }
+
+      const id = `gid://shopify/DiscountCodeNode/${nextId++}`;
+      discounts.set(id, { id, ...input });
+      return { data: { discountCodeBasicCreate: { codeDiscountNode: { id }, userErrors: [] } } };
+    }
+
+    if (/\btags(Add|Remove)\(/.test(query)) {
+      const operation = /\btagsAdd\(/.test(query) ? 'tagsAdd' : 'tagsRemove';
+      const current = tags.get(variables.id) || new Set();
+
+      variables.tags.forEach(tag => (operation === 'tagsAdd' ? current.add(tag) : current.delete(tag)));
+      tags.set(variables.id, current);
+
+      return { data: { [operation]: { node: { id: variables.id }, userErrors: [] } } };
+    }
+
+    if (/\bcustomer\(id:/.test(query)) {
+      const [, namespace, key] = query.match(/metafield\(namespace:\s*"([^"]+)",\s*key:\s*"([^"]+)"\)/) || [];
+      const metafield = metafields.get(metafieldKey(variables.id, namespace, key));
+
+      const customerTags = [...(tags.get(variables.id) || [])];
+
+      if (!metafield) {
+        return { data: { customer: { id: variables.id, tags: customerTags, metafield: null } } };
+      }
+
+      const references = /\breferences\(/.test(query)
+        ? paginate(
+            referencedIds(metafield.value).filter(id => metaobjects.has(id)).map(id => toNode(metaobjects.get(id), query)),
+            variables
+          )
+        : undefined;
+
+      return {
+        data: {
+          customer: {
+            id: variables.id,
+            tags: customerTags,
+            metafield: { id: metafield.id, value: metafield.value, compareDigest: metafield.compareDigest, references }
+          }
+        }
+      };
+    }
+
+    if (/\bmetaobject\(id:/.test(query)) {
+      const metaobject = metaobjects.get(variables.id);
+      return { data: { metaobject: metaobject ? toNode(metaobject, query) : null } };
+    }
+
+    if (/\bnodes\(ids:/.test(query)) {
+      return {
+        data: { nodes: variables.ids.map(id => (metaobjects.has(id) ? toNode(metaobjects.get(id), query) : null)) }
+      };
+    }
+
+    if (/\bmetaobjects\(type:/.test(query)) {
+      const [, type] = query.match(/metaobjects\(type:\s*"([^"]+)"/) || [];
+      const [, first] = query.match(/metaobjects\([^)]*first:\s*(\d+)/) || [];
+      const ofType = [...metaobjects.values()].filter(metaobject => metaobject.type === type);
+
+      return {
+        data: { metaobjects: paginate(ofType.map(metaobject => toNode(metaobject, query)), { first: Number(first) || 50, ...variables }) }
+      };
+    }
+
+    const operation = query.trim().split('\n')[0];
+    throw new Error(`Mock Admin API does not support this operation: ${operation}`);
+  }
+
+  return { graphql, metaobjects, metafields, discounts, tags };
+}
+
+/**
+ * Sign app proxy query parameters the way Shopify does, to send requests to the app without a store
+ * @param {Record<string, string>} params - e.g. { shop, logged_in_customer_id, timestamp }
+ * @param {string} secret - The app's SHOPIFY_API_SECRET
+ * @returns {string} Query string including the signature
+ */
+function signAppProxyQuery(params, secret) {
+  const message = Object.keys(params)
+    .map(key => `${key}=${params[key]}`)
+    .sort()
+    .join('');
+  const signature = crypto.createHmac('sha256', secret).update(message).digest('hex');
+
+  return new URLSearchParams({ ...params, signature }).toString();
+}
+
+module.exports = {
+  createMockAdminApi,
+  signAppProxyQuery
+};
@@ -0,0 +1,411 @@
+/**
+ * Pet repositories
+ *
+ * Where pet profiles and each customer's list of pets are kept. The routes in server.js only
+ * reach pet storage through a PetRepository, so the app can run against Shopify metaobjects
+ * or, for local development and tests, entirely in memory.
+ *
+ * Pets are passed around in metaobject shape ({ id, handle, fields }) whichever repository
+ * holds them, so server.js converts them to API responses the same way.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { UpstreamError } = require('./errors');
+
+// Metaobject field selection, resolving the photo file_reference to its CDN URL
+const PET_FIELDS_SELECTION = `
+  fields {
+    key
+    value
+    reference {
+      ... on MediaImage {
+        image {
+          url
+        }
+      }
+    }
+  }
+`;
+
+// Compare-and-swap attempts before giving up on a contended pets metafield
+const PETS_METAFIELD_MAX_ATTEMPTS = 5;
+
+/**
+ * @typedef {Object} PetMetaobject
+ * @property {string} id - Metaobject GID
+ * @property {string} handle
+ * @property {Array<{ key: string, value: string|null, reference?: { image?: { url: string } } | null }>} fields
+ */
+
+/**
+ * @typedef {Object} UserError
+ * @property {string[]} [field]
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} PetRepository
+ * @property {(customerId: string) => Promise<string[]>} getCustomerPetIds
+ *   IDs in the customer's pets list, including pets that have since been deleted
+ * @property {(customerId: string, update: (petIds: string[]) => string[]) => Promise<void>} updateCustomerPetIds
+ *   Replace the customer's pets list with update's result, re-applying it if the list changed concurrently
+ * @property {(customerId: string, page: { first: number, after?: string|null }) => Promise<{ pets: PetMetaobject[], pageInfo: { hasNextPage: boolean, endCursor: string|null } }>} listCustomerPets
+ *   A page of the customer's pets, leaving out deleted ones
+ * @property {(petId: string) => Promise<PetMetaobject|null>} getPet
+ * @property {(petId: string) => Promise<string[]>} getPetCustomerIds
+ *   Customers whose pets list includes the pet: its owner and anyone it was shared with
+ * @property {(fields: Array<{ key: string, value: string }>) => Promise<{ pet: PetMetaobject|null, userErrors: UserError[] }>} createPet
+ * @property {(petId: string, fields: Array<{ key: string, value: string }>) => Promise<{ pet: PetMetaobject|null, userErrors: UserError[] }>} updatePet
+ *   Changes only the given fields
+ * @property {(petId: string) => Promise<{ deletedId: string|null, userErrors: UserError[] }>} deletePet
+ */
+
+/**
+ * @typedef {(query: string, variables?: object, options?: { estimatedCost?: number }) => Promise<{ data: any }>} GraphQLClient
+ * Same signature as server.js shopifyGraphQL
+ */
+
+/**
+ * Store pets as pet_profile metaobjects, listed in each customer's custom.pets metafield
+ * @param {GraphQLClient} graphql - Admin API client
+ * @returns {PetRepository}
+ */
+function createShopifyPetRepository(graphql) {
+  /**
+   * Read the customer's custom.pets metafield along with its compareDigest
+   * @returns {Promise<{ petIds: string[], compareDigest: string|null }>}
+   */
+  async function fetchCustomerPetsMetafield(customerId) {
+    const query = `
+      query GetCustomerPetIds($id: ID!) {
+        customer(id: $id) {
+          metafield(namespace: "custom", key: "pets") {
+            value
+            compareDigest
+          }
+        }
+      }
+    `;
+
+    const response = await graphql(query, { id: `gid://shopify/Customer/${customerId}` });
+    const metafield = response.data.customer?.metafield;
+
+    return {
+      petIds: metafield ? JSON.parse(metafield.value || '[]') : [],
+      compareDigest: metafield ? metafield.compareDigest : null
+    };
+  }
+
+  /**
+   * Write the customer's custom.pets metafield
+   * @param {string|null} compareDigest - Digest the stored value must still have; null means it must not exist yet
+   * @returns {Promise<boolean>} false when the metafield was changed by someone else in the meantime
+   */
+  async function saveCustomerPetIds(customerId, petIds, compareDigest) {
+    const mutation = `
+      mutation SetCustomerPets($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields {
+            id
+          }
+          userErrors {
+            field
+            message
+            code
+          }
+        }
+      }
+    `;
+
+    const response = await graphql(mutation, {
+      metafields: [
+        {
+          ownerId: `gid://shopify/Customer/${customerId}`,
+          namespace: 'custom',
+          key: 'pets',
+          value: JSON.stringify(petIds),
+          type: 'list.metaobject_reference',
+          compareDigest
+        }
+      ]
+    });
+
+    const result = response.data.metafieldsSet;
+
+    if (result.userErrors && result.userErrors.length > 0) {
+      if (result.userErrors.some(error => error.code === 'STALE_OBJECT')) {
+        return false;
+      }
+      throw new UpstreamError(`Failed to update customer pets: ${result.userErrors[0].message}`, { userErrors: result.userErrors });
+    }
+
+    return true;
+  }
+
+  return {
+    async getCustomerPetIds(customerId) {
+      const { petIds } = await fetchCustomerPetsMetafield(customerId);
+      return petIds;
+    },
+
+    // Concurrent writers (e.g. two creates racing after login) are detected through the
+    // metafield's compareDigest; the loser re-reads and re-applies its change.
+    async updateCustomerPetIds(customerId, update) {
+      for (let attempt = 1; attempt <= PETS_METAFIELD_MAX_ATTEMPTS; attempt++) {
+        const { petIds, compareDigest } = await fetchCustomerPetsMetafield(customerId);
+        const nextIds = update(petIds);
+
+        if (nextIds.length === petIds.length && nextIds.every((id, index) => id === petIds[index])) {
+          return;
+        }
+
+        const saved = await saveCustomerPetIds(customerId, nextIds, compareDigest);
+        if (saved) return;
+
+        logger.warn('Pets metafield changed concurrently, retrying', { attempt, max_attempts: PETS_METAFIELD_MAX_ATTEMPTS });
+        await new Promise(resolve => setTimeout(resolve, 50 * attempt + Math.random() * 50));
+      }
+
+      throw new UpstreamError('Failed to update customer pets: too many concurrent updates');
+    },
+
+    // Resolve the pets metafield's references in one round trip; deleted metaobjects are left out
+    async listCustomerPets(customerId, { first, after = null }) {
+      const query = `
+        query GetCustomerPets($id: ID!, $first: Int!, $after: String) {
+          customer(id: $id) {
+            metafield(namespace: "custom", key: "pets") {
+              references(first: $first, after: $after) {
+                nodes {
+                  ... on Metaobject {
+                    id
+                    handle
+                    ${PET_FIELDS_SELECTION}
+                  }
+                }
+                pageInfo {
+                  hasNextPage
+                  endCursor
+                }
+              }
+            }
+          }
+        }
+      `;
+
+      const response = await graphql(query, {
+        id: `gid://shopify/Customer/${customerId}`,
+        first,
+        after
+      }, { estimatedCost: 3 * first + 2 });
+
+      const references = response.data.customer?.metafield?.references;
+
+      if (!references) {
+        return { pets: [], pageInfo: { hasNextPage: false, endCursor: null } };
+      }
+
+      return {
+        pets: references.nodes.filter(node => node && node.id),
+        pageInfo: references.pageInfo
+      };
+    },
+
+    async getPet(petId) {
+      const query = `
+        query GetPet($id: ID!) {
+          metaobject(id: $id) {
+            id
+            handle
+            ${PET_FIELDS_SELECTION}
+          }
+        }
+      `;
+
+      const response = await graphql(query, { id: petId });
+      return response.data.metaobject || null;
+    },
+
+    async getPetCustomerIds(petId) {
+      const query = `
+        query GetPetCustomers($id: ID!) {
+          metaobject(id: $id) {
+            referencedBy(first: 50) {
+              nodes {
+                referencer {
+                  ... on Customer {
+                    id
+                  }
+                }
+              }
+            }
+          }
+        }
+      `;
+
+      const response = await graphql(query, { id: petId });
+      const relations = response.data.metaobject?.referencedBy?.nodes || [];
+
+      return relations
+        .map(relation => relation.referencer?.id)
+        .filter(Boolean)
+        .map(id => id.split('/').pop());
+    },
+
+    async createPet(fields) {
+      const mutation = `
+        mutation CreatePetProfile($metaobject: MetaobjectCreateInput!) {
+          metaobjectCreate(metaobject: $metaobject) {
+            metaobject {
+              id
+              handle
+              ${PET_FIELDS_SELECTION}
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `;
+
+      const response = await graphql(mutation, { metaobject: { type: 'pet_profile', fields } });
+      const result = response.data.metaobjectCreate;
+
+      return { pet: result.metaobject, userErrors: result.userErrors || [] };
+    },
+
+    async updatePet(petId, fields) {
+      const mutation = `
+        mutation UpdatePetProfile($id: ID!, $metaobject: MetaobjectUpdateInput!) {
+          metaobjectUpdate(id: $id, metaobject: $metaobject) {
+            metaobject {
+              id
+              handle
+              ${PET_FIELDS_SELECTION}
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `;
+
+      const response = await graphql(mutation, { id: petId, metaobject: { fields } });
+      const result = response.data.metaobjectUpdate;
+
+      return { pet: result.metaobject, userErrors: result.userErrors || [] };
+    },
+
+    async deletePet(petId) {
+      const mutation = `
+        mutation DeletePetProfile($id: ID!) {
+          metaobjectDelete(id: $id) {
+            deletedId
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `;
+
+      const response = await graphql(mutation, { id: petId });
+      return response.data.metaobjectDelete;
+    }
+  };
+}
+
+/**
+ * Keep pets in memory, for local development and tests; everything is lost on restart
+ * Behaves like the Shopify repository: lists skip deleted pets and unknown IDs give userErrors.
+ * @returns {PetRepository & { pets: Map<string, PetMetaobject>, customerPetIds: Map<string, string[]> }}
+ */
+function createMemoryPetRepository() {
+  /** @type {Map<string, PetMetaobject>} */
+  const pets = new Map();
+  /** @type {Map<string, string[]>} */
+  const customerPetIds = new Map();
+  let nextId = 1;
+
+  const notFound = () => [{ field: ['id'], message: 'Record not found' }];
+
+  // Callers get copies, so changing a returned pet can't change the stored one
+  const copy = pet => (pet ? JSON.parse(JSON.stringify(pet)) : null);
+
+  return {
+    pets,
+    customerPetIds,
+
+    async getCustomerPetIds(customerId) {
+      return [...(customerPetIds.get(String(customerId)) || [])];
+    },
+
+    async updateCustomerPetIds(customerId, update) {
+      const petIds = customerPetIds.get(String(customerId)) || [];
+      customerPetIds.set(String(customerId), update([...petIds]));
+    },
+
+    async listCustomerPets(customerId, { first, after = null }) {
+      const existing = (customerPetIds.get(String(customerId)) || []).filter(id => pets.has(id));
+      const start = after ? Number(Buffer.from(after, 'base64').toString('utf8')) : 0;
+      const end = start + first;
+
+      return {
+        pets: existing.slice(start, end).map(id => copy(pets.get(id))),
+        pageInfo: {
+          hasNextPage: end < existing.length,
+          endCursor: end < existing.length ? Buffer.from(String(end)).toString('base64') : null
+        }
+      };
+    },
+
+    async getPet(petId) {
+      return copy(pets.get(petId));
+    },
+
+    async getPetCustomerIds(petId) {
+      return [...customerPetIds].filter(([, petIds]) => petIds.includes(petId)).map(([customerId]) => customerId);
+    },
+
+    async createPet(fields) {
+      const pet = {
+        id: `gid://shopify/Metaobject/${nextId++}`,
+        handle: `pet-profile-${crypto.randomBytes(4).toString('hex')}`,
+        fields: fields.map(({ key, value }) => ({ key, value, reference: null }))
+      };
+
+      pets.set(pet.id, pet);
+      return { pet: copy(pet), userErrors: [] };
+    },
+
+    async updatePet(petId, fields) {
+      const pet = pets.get(petId);
+      if (!pet) return { pet: null, userErrors: notFound() };
+
+      fields.forEach(({ key, value }) => {
+        const field = pet.fields.find(existing => existing.key === key);
+        if (field) {
+          field.value = value;
+        } else {
+          pet.fields.push({ key, value, reference: null });
+        }
+      });
+
+      return { pet: copy(pet), userErrors: [] };
+    },
+
+    async deletePet(petId) {
+      if (!pets.delete(petId)) return { deletedId: null, userErrors: notFound() };
+      return { deletedId: petId, userErrors: [] };
+    }
+  };
+}
+
+module.exports = {
+  createShopifyPetRepository,
+  createMemoryPetRepository,
+  PET_FIELDS_SELECTION
+};
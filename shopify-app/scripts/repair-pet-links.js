@@ -0,0 +1,30 @@
+/**
+ * Repair job: drop dangling pet references from customers' custom.pets metafield
+ *
+ * Usage: npm run repair-pets -- <customer_id> [customer_id...]
+ */
+
+const { repairCustomerPets } = require('../server');
+
+async function run(customerIds) {
+  if (customerIds.length === 0) {
+    console.error('Usage: npm run repair-pets -- <customer_id> [customer_id...]');
+    process.exit(1);
+  }
+
+  let failed = false;
+
+  for (const customerId of customerIds) {
+    try {
+      const removedIds = await repairCustomerPets(customerId);
+      console.log(`Customer ${customerId}: removed ${removedIds.length} dangling reference(s)`, removedIds);
+    } catch (error) {
+      failed = true;
+      console.error(`Customer ${customerId}: repair failed -`, error.message);
+    }
+  }
+
+  process.exit(failed ? 1 : 0);
+}
+
+run(process.argv.slice(2));
@@ -0,0 +1,44 @@
+/**
+ * Birthday job: send a discount code for every pet with a birthday in the next few days
+ * Run it once a day, e.g. with Heroku Scheduler. Pets already rewarded for this birthday are skipped.
+ *
+ * Usage: npm run birthday-rewards
+ *
+ * Optional environment variables:
+ *   BIRTHDAY_DAYS_AHEAD        Days ahead to look for birthdays (default 7)
+ *   BIRTHDAY_CODE_VALID_DAYS   Days the code stays valid after the birthday (default 14)
+ *   BIRTHDAY_DISCOUNT_PERCENT  Discount on the order (default 15)
+ */
+
+const { shopifyGraphQL } = require('../server');
+const { runBirthdayRewards, DEFAULT_OPTIONS } = require('../lib/birthday-rewards');
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+async function run() {
+  const options = {
+    daysAhead: readNumber('BIRTHDAY_DAYS_AHEAD', DEFAULT_OPTIONS.daysAhead),
+    validForDays: readNumber('BIRTHDAY_CODE_VALID_DAYS', DEFAULT_OPTIONS.validForDays),
+    percentage: readNumber('BIRTHDAY_DISCOUNT_PERCENT', DEFAULT_OPTIONS.percentage)
+  };
+
+  try {
+    const summary = await runBirthdayRewards({ graphql: shopifyGraphQL }, options);
+    console.log(`Checked ${summary.checked} pet(s), sent ${summary.rewarded.length} birthday code(s)`);
+
+    if (summary.failed.length > 0) {
+      console.error(`${summary.failed.length} reward(s) failed:`, summary.failed);
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('Birthday job failed -', error.message);
+    process.exit(1);
+  }
+
+  process.exit(0);
+}
+
+run();
@@ -0,0 +1,32 @@
+/**
+ * Copy the theme's pet profile schema into the app so both validate pet_data the same way
+ *
+ * The app is deployed on its own (Heroku/Vercel), so it can't import ../assets at runtime.
+ *
+ * Usage: npm run sync-schema            (write lib/pet-profile-schema.mjs)
+ *        npm run sync-schema -- --check (exit 1 if the copy is out of date)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE = path.join(__dirname, '..', '..', 'assets', 'pet-profile-schema.js');
+const TARGET = path.join(__dirname, '..', 'lib', 'pet-profile-schema.mjs');
+
+const BANNER = '// Generated from assets/pet-profile-schema.js by `npm run sync-schema`. Do not edit.\n\n';
+
+const expected = BANNER + fs.readFileSync(SOURCE, 'utf8');
+
+if (process.argv.includes('--check')) {
+  const current = fs.existsSync(TARGET) ? fs.readFileSync(TARGET, 'utf8') : '';
+
+  if (current !== expected) {
+    console.error('lib/pet-profile-schema.mjs is out of date, run `npm run sync-schema`');
+    process.exit(1);
+  }
+
+  console.log('Pet profile schema is in sync');
+} else {
+  fs.writeFileSync(TARGET, expected);
+  console.log('Wrote', path.relative(process.cwd(), TARGET));
+}
@@ -5,12 +5,49 @@
  * Deploy this as a Shopify app or standalone service
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
+const multer = require('multer');
 require('dotenv').config();
+const { createShopifyPetRepository, createMemoryPetRepository } = require('./lib/pet-repository');
+const { createMockAdminApi } = require('./lib/mock-admin-api');
+const { BIRTHDAY_TAG } = require('./lib/birthday-rewards');
+const { logger } = require('./lib/logger');
+const { PetApiError, ValidationError, AuthError, NotFoundError, UpstreamError } = require('./lib/errors');
 
 const app = express();
 
+// Tag every request with a correlation ID, echoed in X-Request-Id and on every log line it causes
+app.use((req, res, next) => {
+  const requestId = /^[\w-]{1,64}$/.test(req.get('X-Request-Id') || '') ? req.get('X-Request-Id') : crypto.randomUUID();
+  const startedAt = Date.now();
+
+  req.id = requestId;
+  req.log = logger.child({ request_id: requestId });
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    req.log.info('Request finished', {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      duration_ms: Date.now() - startedAt
+    });
+  });
+
+  next();
+});
+
+// Pet photos arrive as multipart/form-data; keep them in memory until they are staged to Shopify
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, callback) => {
+    callback(null, ['image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype));
+  }
+});
+
 // Configure CORS to allow requests from your Shopify store
 const corsOptions = {
   origin: function (origin, callback) {
@@ -31,386 +68,1442 @@ const corsOptions = {
     if (isAllowed) {
       callback(null, true);
     } else {
-      callback(new Error('Not allowed by CORS'));
+      callback(new AuthError('Not allowed by CORS', { forbidden: true }));
     }
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
 };
 
 app.use(cors(corsOptions));
-app.use(express.json());
+// Webhook signatures are computed over the exact bytes Shopify sent, so keep them alongside the parsed body
+app.use(express.json({
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer;
+  }
+}));
 
 // Shopify API configuration
 const SHOPIFY_SHOP_DOMAIN = process.env.SHOPIFY_SHOP_DOMAIN;
 const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ADMIN_ACCESS_TOKEN;
+const SHOPIFY_API_SECRET = process.env.SHOPIFY_API_SECRET;
 
-// Helper function to make GraphQL requests
-async function shopifyGraphQL(query, variables = {}) {
-  const response = await fetch(`https://${SHOPIFY_SHOP_DOMAIN}/admin/api/2024-10/graphql.json`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-    },
-    body: JSON.stringify({ query, variables }),
-  });
+// App proxy signatures older than this are rejected to limit replays
+const PROXY_SIGNATURE_MAX_AGE_SECONDS = 5 * 60;
+
+// Fields stored on the pet_profile metaobject
+const PET_FIELD_KEYS = ['name', 'type', 'birthday', 'breed', 'weight', 'weight_kg', 'weight_history', 'allergies', 'health_boost'];
+
+// Fields stored on the pet_health_record metaobject, besides the `pet` reference
+const HEALTH_FIELD_KEYS = ['vaccinations', 'medications', 'conditions', 'vet_name', 'vet_clinic', 'vet_phone', 'vet_email', 'notes'];
+
+// Customer metafields the app writes, removed when a customer is redacted
+const CUSTOMER_METAFIELD_KEYS = ['pets', 'pet_birthday_rewards', 'pet_data_export'];
+
+// How long a pet share link can be accepted for
+const SHARE_LINK_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Weigh-ins kept in a pet's weight_history, oldest dropped first
+const WEIGHT_HISTORY_MAX_ENTRIES = 100;
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`GraphQL request failed: ${response.status} ${errorText}`);
+// Shared field rules, generated from the theme's assets/pet-profile-schema.js (ES module)
+const petProfileSchema = import('./lib/pet-profile-schema.mjs');
+
+// How long the store's pet_species metaobjects are reused before being fetched again
+const SPECIES_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Largest page of pets returned by /list
+const LIST_PAGE_SIZE = 50;
+
+// Health record fields; list fields are stored as JSON
+const HEALTH_FIELDS_SELECTION = `
+  fields {
+    key
+    value
+  }
+`;
+
+// Admin API query cost bucket, as last reported by Shopify
+// @see https://shopify.dev/docs/api/usage/rate-limits#graphql-admin-api-rate-limits
+const throttleStatus = {
+  maximumAvailable: 2000,
+  currentlyAvailable: null,
+  restoreRate: 100,
+  updatedAt: 0
+};
+
+// Attempts for a query that Shopify rejected as THROTTLED
+const GRAPHQL_MAX_ATTEMPTS = 3;
+
+// Local stand-in for the Admin API, for running the app without a store. Keeping pets in memory
+// implies it: species, health records, photos and webhooks still go through the Admin API.
+const adminApiMock = process.env.SHOPIFY_ADMIN_API_MOCK === 'true' || process.env.PET_REPOSITORY === 'memory'
+  ? createMockAdminApi()
+  : null;
+
+// Helper function to make GraphQL requests
+// estimatedCost is used to wait for enough of the cost bucket to refill before sending
+async function shopifyGraphQL(query, variables = {}, { estimatedCost = 10 } = {}) {
+  if (adminApiMock) {
+    return adminApiMock.graphql(query, variables);
   }
 
-  const result = await response.json();
+  for (let attempt = 1; ; attempt++) {
+    await waitForQueryBudget(estimatedCost);
+
+    const response = await fetch(`https://${SHOPIFY_SHOP_DOMAIN}/admin/api/2024-10/graphql.json`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
+      },
+      body: JSON.stringify({ query, variables }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new UpstreamError(`GraphQL request failed: ${response.status} ${errorText}`);
+    }
+
+    const result = await response.json();
+    const cost = result.extensions?.cost;
+
+    if (cost?.throttleStatus) {
+      Object.assign(throttleStatus, cost.throttleStatus, { updatedAt: Date.now() });
+    }
+
+    const throttled = result.errors?.some(error => error.extensions?.code === 'THROTTLED');
+
+    if (throttled && attempt < GRAPHQL_MAX_ATTEMPTS) {
+      logger.warn('Admin API throttled, retrying', { attempt, max_attempts: GRAPHQL_MAX_ATTEMPTS });
+      estimatedCost = cost?.requestedQueryCost || estimatedCost;
+      continue;
+    }
+
+    if (result.errors) {
+      throw new UpstreamError(`GraphQL errors: ${JSON.stringify(result.errors)}`);
+    }
 
-  if (result.errors) {
-    throw new Error(`GraphQL errors: ${JSON.stringify(result.errors)}`);
+    return result;
   }
+}
+
+// Helper: Sleep until the cost bucket has refilled enough for a query
+async function waitForQueryBudget(cost) {
+  if (throttleStatus.currentlyAvailable === null) return;
+
+  const elapsedSeconds = (Date.now() - throttleStatus.updatedAt) / 1000;
+  const available = Math.min(
+    throttleStatus.maximumAvailable,
+    throttleStatus.currentlyAvailable + elapsedSeconds * throttleStatus.restoreRate
+  );
 
-  return result;
+  if (available >= cost) return;
+
+  const waitMs = Math.ceil(((cost - available) / throttleStatus.restoreRate) * 1000);
+  await new Promise(resolve => setTimeout(resolve, waitMs));
 }
 
 /**
- * Create a new pet profile metaobject
- * POST /apps/pet-profile/create
+ * Verify a Shopify App Proxy request
+ * Shopify signs the query string with the app's API secret and injects
+ * logged_in_customer_id, so the customer can't be spoofed from the browser.
+ * @see https://shopify.dev/docs/apps/build/online-store/display-dynamic-data#calculate-a-digital-signature
  */
-app.post('/apps/pet-profile/create', async (req, res) => {
-  try {
-    console.log('=== CREATE PET REQUEST ===');
-    console.log('Request body:', JSON.stringify(req.body, null, 2));
+function verifyAppProxyRequest(req, res, next) {
+  if (!SHOPIFY_API_SECRET) {
+    return next(new PetApiError('App proxy verification is not configured'));
+  }
 
-    const { customer_id, pet_data } = req.body;
+  const queryString = req.originalUrl.split('?')[1] || '';
+  const params = new URLSearchParams(queryString);
+  const signature = params.get('signature');
 
-    if (!customer_id) {
-      console.error('❌ Missing customer_id');
-      return res.status(400).json({ success: false, error: 'customer_id is required' });
-    }
+  if (!signature) {
+    return next(new AuthError('Missing app proxy signature'));
+  }
 
-    if (!pet_data) {
-      console.error('❌ Missing pet_data');
-      return res.status(400).json({ success: false, error: 'pet_data is required' });
-    }
+  // Repeated keys are joined with commas, pairs are sorted and concatenated without a separator
+  const grouped = {};
+  for (const [key, value] of params) {
+    if (key === 'signature') continue;
+    (grouped[key] = grouped[key] || []).push(value);
+  }
 
-    console.log('Creating pet profile for customer:', customer_id);
-    console.log('Received pet_data:', JSON.stringify(pet_data, null, 2));
-
-    // Create the pet metaobject using GraphQL
-    const mutation = `
-      mutation CreatePetProfile($metaobject: MetaobjectCreateInput!) {
-        metaobjectCreate(metaobject: $metaobject) {
-          metaobject {
-            id
-            handle
-            fields {
-              key
-              value
-            }
-          }
-          userErrors {
-            field
-            message
-          }
-        }
-      }
-    `;
-
-    const variables = {
-      metaobject: {
-        type: 'pet_profile',
-        fields: [
-          { key: 'name', value: pet_data.name },
-          { key: 'type', value: pet_data.type },
-          { key: 'birthday', value: pet_data.birthday || '' },
-          { key: 'breed', value: pet_data.breed || '' },
-          { key: 'weight', value: pet_data.weight },
-          { key: 'allergies', value: JSON.stringify(pet_data.allergies || []) },
-          { key: 'health_boost', value: pet_data.health_boost || '' }
-        ]
-      }
-    };
+  const message = Object.keys(grouped)
+    .map(key => `${key}=${grouped[key].join(',')}`)
+    .sort()
+    .join('');
 
-    console.log('GraphQL variables:', JSON.stringify(variables, null, 2));
+  const expected = crypto.createHmac('sha256', SHOPIFY_API_SECRET).update(message).digest('hex');
 
-    const response = await shopifyGraphQL(mutation, variables);
-    console.log('GraphQL response:', JSON.stringify(response, null, 2));
+  const signatureBuffer = Buffer.from(signature, 'utf8');
+  const expectedBuffer = Buffer.from(expected, 'utf8');
 
-    const result = response.data.metaobjectCreate;
+  if (signatureBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+    return next(new AuthError('Invalid app proxy signature'));
+  }
 
-    if (result.userErrors && result.userErrors.length > 0) {
-      console.error('❌ Metaobject creation errors:', result.userErrors);
-      return res.status(400).json({
-        success: false,
-        error: result.userErrors[0].message,
-        userErrors: result.userErrors
-      });
-    }
+  const timestamp = Number(params.get('timestamp'));
+  if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > PROXY_SIGNATURE_MAX_AGE_SECONDS) {
+    return next(new AuthError('App proxy signature has expired'));
+  }
 
-    const metaobjectId = result.metaobject.id;
+  const customerId = params.get('logged_in_customer_id');
+  if (!customerId) {
+    return next(new AuthError('Customer must be logged in'));
+  }
 
-    // Link the metaobject to the customer
-    await linkPetToCustomer(customer_id, metaobjectId);
+  req.customerId = customerId;
+  req.log = req.log.child({ customer_id: customerId });
+  next();
+}
 
-    console.log('✅ Pet profile created:', metaobjectId);
+app.use('/apps/pet-profile', verifyAppProxyRequest);
 
-    res.json({
-      success: true,
-      metaobject_id: metaobjectId,
-      pet_data: pet_data
-    });
+/**
+ * Helper: Pass an async route handler's rejections to the error handler
+ * Express 4 ignores the promise a handler returns, so a thrown error would otherwise hang the request.
+ */
+function asyncRoute(handler) {
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+// Where pets are stored: Shopify metaobjects, or memory with PET_REPOSITORY=memory
+app.locals.petRepository = process.env.PET_REPOSITORY === 'memory'
+  ? createMemoryPetRepository()
+  : createShopifyPetRepository(shopifyGraphQL);
+
+/**
+ * Create a new pet profile metaobject
+ * POST /apps/pet-profile/create
+ */
+app.post('/apps/pet-profile/create', upload.single('pet_image'), asyncRoute(async (req, res) => {
+  const customerId = req.customerId;
+  const pet_data = parsePetData(req.body.pet_data);
+
+  if (!pet_data) {
+    throw new ValidationError('pet_data is required');
+  }
+
+  const { validatePetData } = await petProfileSchema;
+  const validation = validatePetData(pet_data, { species: await fetchSpeciesRegistry() });
+
+  if (!validation.valid) {
+    throw new ValidationError('Invalid pet data', { fieldErrors: validation.errors });
+  }
+
+  const photoId = req.file ? await uploadPetPhoto(req.file, validation.value.name) : null;
+  const weightHistory = addWeightToHistory([], validation.value.weight_kg);
+
+  const fields = [
+    ...buildPetFields({ ...validation.value, weight_history: weightHistory }),
+    { key: 'owner', value: `gid://shopify/Customer/${customerId}` },
+    ...(photoId ? [{ key: 'photo', value: photoId }] : [])
+  ];
+
+  const result = await getPetRepository().createPet(fields);
+
+  if (result.userErrors && result.userErrors.length > 0) {
+    throw new UpstreamError(`Metaobject creation failed: ${result.userErrors[0].message}`, { userErrors: result.userErrors });
+  }
+
+  const metaobjectId = result.pet.id;
 
+  // Link the metaobject to the customer, removing it again if that fails so it isn't orphaned
+  try {
+    await linkPetToCustomer(customerId, metaobjectId);
   } catch (error) {
-    console.error('❌ Error creating pet profile:', error);
-    console.error('Error stack:', error.stack);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      details: error.toString()
+    req.log.warn('Linking failed, rolling back pet', { pet_id: metaobjectId });
+    await getPetRepository().deletePet(metaobjectId).catch(rollbackError => {
+      req.log.error('Rollback failed, pet is orphaned', { pet_id: metaobjectId, error: rollbackError });
     });
+    throw error;
   }
-});
+
+  req.log.info('Pet profile created', { pet_id: metaobjectId, species: validation.value.type });
+
+  res.json({
+    success: true,
+    metaobject_id: metaobjectId,
+    pet_data: validation.value,
+    pet: metaobjectToPet(result.pet, customerId)
+  });
+}));
 
 /**
  * List all pets for a customer
- * GET /apps/pet-profile/list?customer_id=xxx
+ * GET /apps/pet-profile/list?first=50&after=<cursor>
  */
-app.get('/apps/pet-profile/list', async (req, res) => {
-  try {
-    const { customer_id } = req.query;
-
-    console.log('Fetching pets for customer:', customer_id);
-
-    // Get customer's pet metaobject references
-    const customerQuery = `
-      query GetCustomerPets($id: ID!) {
-        customer(id: $id) {
-          metafields(first: 10, namespace: "custom") {
-            edges {
-              node {
-                key
-                value
-                type
-              }
-            }
-          }
-        }
-      }
-    `;
+app.get('/apps/pet-profile/list', asyncRoute(async (req, res) => {
+  const customerId = req.customerId;
+  const first = Math.min(Math.max(parseInt(req.query.first, 10) || LIST_PAGE_SIZE, 1), LIST_PAGE_SIZE);
+  const after = req.query.after || null;
 
-    const customerResponse = await shopifyGraphQL(customerQuery, {
-      id: `gid://shopify/Customer/${customer_id}`
-    });
+  const page = await getPetRepository().listCustomerPets(customerId, { first, after });
+  const pets = page.pets.map(node => metaobjectToPet(node, customerId));
 
-    const metafields = customerResponse.data.customer?.metafields?.edges || [];
-    const petsField = metafields.find(edge => edge.node.key === 'pets');
+  req.log.debug('Pets listed', { count: pets.length, has_next_page: page.pageInfo.hasNextPage });
 
-    if (!petsField) {
-      console.log('No pets found for customer');
-      return res.json({ pets: [] });
+  res.json({
+    pets,
+    page_info: {
+      has_next_page: page.pageInfo.hasNextPage,
+      end_cursor: page.pageInfo.endCursor
     }
+  });
+}));
 
-    // Parse the pet metaobject IDs
-    const petIds = JSON.parse(petsField.node.value || '[]');
+/**
+ * Delete a pet profile
+ * DELETE /apps/pet-profile/delete/:petId
+ */
+app.delete('/apps/pet-profile/delete/:petId', asyncRoute(async (req, res) => {
+  const { petId } = req.params;
+  const customerId = req.customerId;
+
+  // Only delete pets that are linked to the calling customer
+  const petIds = await fetchCustomerPetIds(customerId);
+  if (!petIds.includes(petId)) {
+    throw new NotFoundError('Pet not found');
+  }
 
-    if (petIds.length === 0) {
-      return res.json({ pets: [] });
-    }
+  // Household members a pet was shared with can use it but not delete it
+  if (await isSharedWithCustomer(petId, customerId)) {
+    throw new AuthError('Only the pet\'s owner can delete it', { forbidden: true });
+  }
 
-    // Fetch each pet metaobject
-    const pets = await Promise.all(
-      petIds.map(petId => fetchPetMetaobject(petId))
-    );
+  // The health record only makes sense with its pet; a failure leaves it orphaned but harmless
+  try {
+    const healthRecord = (await fetchHealthRecords([petId]))[petId];
+    if (healthRecord) await deleteMetaobject(healthRecord.id);
+  } catch (error) {
+    req.log.warn('Could not delete health record of pet', { pet_id: petId, error });
+  }
 
-    // Filter out any null results (deleted pets)
-    const validPets = pets.filter(pet => pet !== null);
+  // Delete the metaobject
+  const result = await getPetRepository().deletePet(petId);
 
-    console.log('✅ Found', validPets.length, 'pets for customer');
+  if (result.userErrors && result.userErrors.length > 0) {
+    throw new UpstreamError(`Metaobject deletion failed: ${result.userErrors[0].message}`, { userErrors: result.userErrors });
+  }
 
-    res.json({
-      pets: validPets
-    });
+  req.log.info('Pet deleted', { pet_id: result.deletedId });
 
+  // The pet is already gone; a failed unlink leaves a dangling reference for the repair job
+  try {
+    await unlinkPetFromCustomer(customerId, petId);
   } catch (error) {
-    console.error('Error fetching pets:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    req.log.warn('Pet deleted but still linked to customer', { pet_id: petId, error });
   }
-});
+
+  res.json({
+    success: true,
+    deleted_id: result.deletedId
+  });
+}));
 
 /**
- * Delete a pet profile
- * DELETE /apps/pet-profile/delete/:petId
+ * Update an existing pet profile
+ * PUT /apps/pet-profile/:petId
+ * Only the fields present in pet_data are changed
  */
-app.delete('/apps/pet-profile/delete/:petId', async (req, res) => {
-  try {
-    const { petId } = req.params;
-
-    console.log('Deleting pet:', petId);
-
-    // Delete the metaobject
-    const mutation = `
-      mutation DeleteMetaobject($id: ID!) {
-        metaobjectDelete(id: $id) {
-          deletedId
-          userErrors {
-            field
-            message
-          }
-        }
-      }
-    `;
+app.put('/apps/pet-profile/:petId', upload.single('pet_image'), asyncRoute(async (req, res) => {
+  const { petId } = req.params;
+  const customerId = req.customerId;
+  const pet_data = parsePetData(req.body.pet_data);
 
-    const response = await shopifyGraphQL(mutation, {
-      id: petId
-    });
+  if (!pet_data || typeof pet_data !== 'object') {
+    throw new ValidationError('pet_data is required');
+  }
 
-    const result = response.data.metaobjectDelete;
+  // Make sure the pet belongs to this customer before touching it
+  const petIds = await fetchCustomerPetIds(customerId);
+  if (!petIds.includes(petId)) {
+    throw new NotFoundError('Pet not found');
+  }
 
-    if (result.userErrors && result.userErrors.length > 0) {
-      console.error('Delete errors:', result.userErrors);
-      return res.status(400).json({
-        success: false,
-        error: result.userErrors[0].message
-      });
+  // Household members a pet was shared with can view it and order for it, but not change it
+  if (await isSharedWithCustomer(petId, customerId)) {
+    throw new AuthError('Only the pet\'s owner can edit it', { forbidden: true });
+  }
+
+  const storedPet = await fetchPetFieldValues(petId);
+
+  // The weight class depends on both the species and the exact weight, so when either changes
+  // the stored values fill in the other and the class is worked out again.
+  // A class picked without a weight replaces the stored weight, which would otherwise override it.
+  const weightChanged = ['type', 'weight_kg', 'weight'].some(key => key in pet_data);
+  const classPicked = 'weight' in pet_data && !('weight_kg' in pet_data);
+  let storedWeight = { weight: storedPet.weight };
+  if (classPicked) {
+    storedWeight = { weight_kg: null };
+  } else if (storedPet.weight_kg) {
+    storedWeight = { weight_kg: Number(storedPet.weight_kg) };
+  }
+  const input = weightChanged ? { type: storedPet.type, ...storedWeight, ...pet_data } : pet_data;
+
+  const { validatePetData } = await petProfileSchema;
+  const validation = validatePetData(input, { partial: true, species: await fetchSpeciesRegistry() });
+
+  if (!validation.valid) {
+    throw new ValidationError('Invalid pet data', { fieldErrors: validation.errors });
+  }
+
+  const fields = buildPetFields(validation.value);
+
+  // A new weight is added to the pet's weight history
+  if (validation.value.weight_kg) {
+    const weightHistory = storedPet.weight_history ? JSON.parse(storedPet.weight_history) : [];
+    const updatedHistory = addWeightToHistory(weightHistory, validation.value.weight_kg);
+
+    if (updatedHistory !== weightHistory) {
+      fields.push(...buildPetFields({ weight_history: updatedHistory }));
     }
+  }
 
-    console.log('✅ Pet deleted:', result.deletedId);
+  if (req.file) {
+    fields.push({ key: 'photo', value: await uploadPetPhoto(req.file, validation.value.name) });
+  }
 
-    res.json({
-      success: true,
-      deleted_id: result.deletedId
-    });
+  if (fields.length === 0) {
+    throw new ValidationError('No fields to update');
+  }
 
-  } catch (error) {
-    console.error('Error deleting pet:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+  const result = await getPetRepository().updatePet(petId, fields);
+
+  if (result.userErrors && result.userErrors.length > 0) {
+    throw new UpstreamError(`Metaobject update failed: ${result.userErrors[0].message}`, { userErrors: result.userErrors });
   }
-});
+
+  req.log.info('Pet profile updated', { pet_id: petId, fields: fields.map(field => field.key) });
+
+  res.json({
+    success: true,
+    pet: metaobjectToPet(result.pet, customerId)
+  });
+}));
 
 /**
- * Helper: Link pet metaobject to customer
+ * Download everything stored about the customer's pets
+ * GET /apps/pet-profile/export
  */
-async function linkPetToCustomer(customerId, petMetaobjectId) {
-  try {
-    // Get existing pets list
-    const customerQuery = `
-      query GetCustomerMetafields($id: ID!) {
-        customer(id: $id) {
-          metafield(namespace: "custom", key: "pets") {
-            id
-            value
-          }
-        }
-      }
-    `;
+app.get('/apps/pet-profile/export', asyncRoute(async (req, res) => {
+  const petData = await buildPetDataExport(req.customerId);
 
-    const response = await shopifyGraphQL(customerQuery, {
-      id: `gid://shopify/Customer/${customerId}`
-    });
+  req.log.info('Pet data exported', { pets: petData.pets.length });
 
-    const existingMetafield = response.data.customer?.metafield;
-    let petIds = [];
+  res.set('Content-Disposition', 'attachment; filename="my-pets-data.json"');
+  res.json(petData);
+}));
 
-    if (existingMetafield) {
-      petIds = JSON.parse(existingMetafield.value || '[]');
-    }
+/**
+ * Accept a pet share link, adding the pet to the customer's own pets
+ * POST /apps/pet-profile/share/accept
+ * Body: { token }
+ */
+app.post('/apps/pet-profile/share/accept', asyncRoute(async (req, res) => {
+  const customerId = req.customerId;
+  const share = verifyShareToken(req.body.token);
 
-    // Add new pet ID
-    petIds.push(petMetaobjectId);
+  if (!share) {
+    throw new ValidationError('This share link is invalid or has expired', { code: 'share_link_invalid' });
+  }
 
-    // Update customer metafield
-    const updateMutation = `
-      mutation UpdateCustomerMetafield($input: CustomerInput!) {
-        customerUpdate(input: $input) {
-          customer {
-            id
-          }
-          userErrors {
-            field
-            message
-          }
+  if (share.from === customerId) {
+    throw new ValidationError('This pet is already yours');
+  }
+
+  // Links stop working once the owner deletes the pet or it changes hands
+  const ownerPetIds = await fetchCustomerPetIds(share.from);
+  const ownerId = await fetchPetOwnerId(share.pet);
+
+  if (!ownerPetIds.includes(share.pet) || ownerId !== `gid://shopify/Customer/${share.from}`) {
+    throw new PetApiError('This pet is no longer shared', { status: 410, code: 'share_link_revoked' });
+  }
+
+  await linkPetToCustomer(customerId, share.pet);
+
+  req.log.info('Pet share accepted', { pet_id: share.pet, owner_id: share.from });
+
+  res.json({ success: true, pet_id: share.pet });
+}));
+
+/**
+ * Create a signed link another customer can use to share one of the owner's pets
+ * POST /apps/pet-profile/share/:petId
+ */
+app.post('/apps/pet-profile/share/:petId', asyncRoute(async (req, res) => {
+  const { petId } = req.params;
+  const customerId = req.customerId;
+
+  const petIds = await fetchCustomerPetIds(customerId);
+  if (!petIds.includes(petId)) {
+    throw new NotFoundError('Pet not found');
+  }
+
+  const ownerId = await fetchPetOwnerId(petId);
+
+  if (ownerId && ownerId !== `gid://shopify/Customer/${customerId}`) {
+    throw new AuthError('Only the pet\'s owner can share it', { forbidden: true });
+  }
+
+  // Pets created before sharing existed have no owner; the only customer linked to them is it
+  if (!ownerId) {
+    await setPetOwner(petId, customerId);
+  }
+
+  const { token, expiresAt } = createShareToken(petId, customerId);
+
+  req.log.info('Pet share link created', { pet_id: petId, expires_at: expiresAt });
+
+  res.json({ success: true, token, expires_at: expiresAt });
+}));
+
+/**
+ * List the health records of the customer's pets
+ * GET /apps/pet-profile/health
+ */
+app.get('/apps/pet-profile/health', asyncRoute(async (req, res) => {
+  const petIds = await fetchCustomerPetIds(req.customerId);
+  const records = await fetchHealthRecords(petIds);
+
+  res.json({ records: Object.values(records) });
+}));
+
+/**
+ * Create a pet's health record; each pet has at most one
+ * POST /apps/pet-profile/health/:petId
+ */
+app.post('/apps/pet-profile/health/:petId', asyncRoute(async (req, res) => {
+  const { petId } = req.params;
+  const health_record = req.body.health_record;
+
+  if (!health_record || typeof health_record !== 'object') {
+    throw new ValidationError('health_record is required');
+  }
+
+  const { validateHealthRecord } = await petProfileSchema;
+  const validation = validateHealthRecord(health_record);
+
+  if (!validation.valid) {
+    throw new ValidationError('Invalid health record', { fieldErrors: validation.errors });
+  }
+
+  const petIds = await fetchCustomerPetIds(req.customerId);
+  if (!petIds.includes(petId)) {
+    throw new NotFoundError('Pet not found');
+  }
+
+  if (await isSharedWithCustomer(petId, req.customerId)) {
+    throw new AuthError('Only the pet\'s owner can change its health record', { forbidden: true });
+  }
+
+  const existing = await fetchHealthRecords([petId]);
+  if (existing[petId]) {
+    throw new PetApiError('This pet already has a health record', { status: 409, code: 'conflict' });
+  }
+
+  const mutation = `
+    mutation CreateHealthRecord($metaobject: MetaobjectCreateInput!) {
+      metaobjectCreate(metaobject: $metaobject) {
+        metaobject {
+          id
+          updatedAt
+          ${HEALTH_FIELDS_SELECTION}
+        }
+        userErrors {
+          field
+          message
         }
       }
-    `;
-
-    const updateResponse = await shopifyGraphQL(updateMutation, {
-      input: {
-        id: `gid://shopify/Customer/${customerId}`,
-        metafields: [
-          {
-            namespace: 'custom',
-            key: 'pets',
-            value: JSON.stringify(petIds),
-            type: 'list.metaobject_reference'
-          }
-        ]
-      }
-    });
+    }
+  `;
+
+  const response = await shopifyGraphQL(mutation, {
+    metaobject: {
+      type: 'pet_health_record',
+      fields: [{ key: 'pet', value: petId }, ...buildHealthFields(validation.value)]
+    }
+  });
 
-    console.log('✅ Linked pet to customer');
+  const result = response.data.metaobjectCreate;
 
-  } catch (error) {
-    console.error('Error linking pet to customer:', error);
-    throw error;
+  if (result.userErrors && result.userErrors.length > 0) {
+    throw new UpstreamError(`Health record creation failed: ${result.userErrors[0].message}`, { userErrors: result.userErrors });
   }
-}
+
+  req.log.info('Health record created', { pet_id: petId });
+
+  res.json({ success: true, record: metaobjectToHealthRecord(result.metaobject) });
+}));
 
 /**
- * Helper: Fetch a pet metaobject by ID
+ * Update a pet's health record
+ * PUT /apps/pet-profile/health/:petId
+ * Only the fields present in health_record are changed
  */
-async function fetchPetMetaobject(petId) {
-  try {
-    const query = `
-      query GetPetMetaobject($id: ID!) {
-        metaobject(id: $id) {
+app.put('/apps/pet-profile/health/:petId', asyncRoute(async (req, res) => {
+  const { petId } = req.params;
+  const health_record = req.body.health_record;
+
+  if (!health_record || typeof health_record !== 'object') {
+    throw new ValidationError('health_record is required');
+  }
+
+  const { validateHealthRecord } = await petProfileSchema;
+  const validation = validateHealthRecord(health_record, { partial: true });
+
+  if (!validation.valid) {
+    throw new ValidationError('Invalid health record', { fieldErrors: validation.errors });
+  }
+
+  const petIds = await fetchCustomerPetIds(req.customerId);
+  if (!petIds.includes(petId)) {
+    throw new NotFoundError('Pet not found');
+  }
+
+  if (await isSharedWithCustomer(petId, req.customerId)) {
+    throw new AuthError('Only the pet\'s owner can change its health record', { forbidden: true });
+  }
+
+  const record = (await fetchHealthRecords([petId]))[petId];
+  if (!record) {
+    throw new NotFoundError('Health record not found');
+  }
+
+  const fields = buildHealthFields(validation.value);
+  if (fields.length === 0) {
+    throw new ValidationError('No fields to update');
+  }
+
+  const mutation = `
+    mutation UpdateHealthRecord($id: ID!, $metaobject: MetaobjectUpdateInput!) {
+      metaobjectUpdate(id: $id, metaobject: $metaobject) {
+        metaobject {
           id
-          handle
-          fields {
-            key
-            value
-          }
+          updatedAt
+          ${HEALTH_FIELDS_SELECTION}
+        }
+        userErrors {
+          field
+          message
         }
       }
-    `;
+    }
+  `;
 
-    const response = await shopifyGraphQL(query, { id: petId });
-    const metaobject = response.data.metaobject;
+  const response = await shopifyGraphQL(mutation, { id: record.id, metaobject: { fields } });
+  const result = response.data.metaobjectUpdate;
 
-    if (!metaobject) return null;
+  if (result.userErrors && result.userErrors.length > 0) {
+    throw new UpstreamError(`Health record update failed: ${result.userErrors[0].message}`, { userErrors: result.userErrors });
+  }
 
-    // Convert fields array to object
-    const pet = {
-      id: metaobject.id,
-      handle: metaobject.handle
-    };
+  req.log.info('Health record updated', { pet_id: petId, fields: fields.map(field => field.key) });
 
-    metaobject.fields.forEach(field => {
-      if (field.key === 'allergies') {
-        pet[field.key] = JSON.parse(field.value || '[]');
-      } else if (field.key !== 'health_boost') {
-        pet[field.key] = field.value;
-      }
-    });
+  res.json({ success: true, record: metaobjectToHealthRecord(result.metaobject) });
+}));
+
+/**
+ * Delete a pet's health record
+ * DELETE /apps/pet-profile/health/:petId
+ */
+app.delete('/apps/pet-profile/health/:petId', asyncRoute(async (req, res) => {
+  const { petId } = req.params;
+
+  const petIds = await fetchCustomerPetIds(req.customerId);
+  if (!petIds.includes(petId)) {
+    throw new NotFoundError('Pet not found');
+  }
 
-    return pet;
+  if (await isSharedWithCustomer(petId, req.customerId)) {
+    throw new AuthError('Only the pet\'s owner can change its health record', { forbidden: true });
+  }
+
+  const record = (await fetchHealthRecords([petId]))[petId];
+  if (!record) {
+    throw new NotFoundError('Health record not found');
+  }
+
+  const result = await deleteMetaobject(record.id);
+
+  if (result.userErrors && result.userErrors.length > 0) {
+    throw new UpstreamError(`Health record deletion failed: ${result.userErrors[0].message}`, { userErrors: result.userErrors });
+  }
+
+  req.log.info('Health record deleted', { pet_id: petId });
+
+  res.json({ success: true, deleted_id: result.deletedId });
+}));
 
+/**
+ * Helper: Read pet_data from a JSON body or a multipart field (sent as a JSON string)
+ */
+function parsePetData(petData) {
+  if (typeof petData !== 'string') return petData;
+
+  try {
+    return JSON.parse(petData);
   } catch (error) {
-    console.error('Error fetching pet metaobject:', error);
     return null;
   }
 }
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok' });
-});
+const speciesCache = { registry: null, fetchedAt: 0 };
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`🚀 Pet Profile API running on port ${PORT}`);
+/**
+ * Helper: Get the store's species registry, the same one the theme renders
+ * Built from the pet_species metaobjects, or the schema's dog and cat defaults when there are none.
+ * @returns {Promise<Record<string, object>>} Species keyed by pet_profile type
+ */
+async function fetchSpeciesRegistry() {
+  if (speciesCache.registry && Date.now() - speciesCache.fetchedAt < SPECIES_CACHE_TTL_MS) {
+    return speciesCache.registry;
+  }
+
+  const { DEFAULT_SPECIES, normalizeSpecies } = await petProfileSchema;
+
+  const query = `
+    query GetPetSpecies {
+      metaobjects(type: "pet_species", first: 50) {
+        nodes {
+          handle
+          fields {
+            key
+            value
+          }
+        }
+      }
+    }
+  `;
+
+  const response = await shopifyGraphQL(query);
+  const nodes = response.data.metaobjects?.nodes || [];
+
+  const registry = nodes.length > 0
+    ? Object.fromEntries(nodes.map(node => [node.handle, normalizeSpecies(node.handle, parseSpeciesFields(node.fields))]))
+    : DEFAULT_SPECIES;
+
+  speciesCache.registry = registry;
+  speciesCache.fetchedAt = Date.now();
+
+  return registry;
+}
+
+/**
+ * Helper: Turn pet_species metaobject fields into a species entry
+ * JSON and integer fields arrive as strings.
+ */
+function parseSpeciesFields(fields) {
+  const species = {};
+
+  fields.forEach(field => {
+    if (field.value === null) return;
+
+    if (field.key === 'weight_classes' || field.key === 'allergens') {
+      try {
+        species[field.key] = JSON.parse(field.value);
+      } catch (error) {
+        logger.warn('Invalid JSON on a pet_species entry', { field: field.key });
+      }
+    } else if (field.key === 'adult_from_months' || field.key === 'senior_from_months') {
+      species[field.key] = Number(field.value);
+    } else {
+      species[field.key] = field.value;
+    }
+  });
+
+  return species;
+}
+
+/**
+ * Helper: Upload a pet photo to Shopify Files through a staged upload
+ * @returns {Promise<string>} The MediaImage ID to store in the photo file_reference field
+ */
+async function uploadPetPhoto(file, petName) {
+  const stagedMutation = `
+    mutation StagePetPhoto($input: [StagedUploadInput!]!) {
+      stagedUploadsCreate(input: $input) {
+        stagedTargets {
+          url
+          resourceUrl
+          parameters {
+            name
+            value
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const stagedResponse = await shopifyGraphQL(stagedMutation, {
+    input: [{
+      filename: file.originalname || 'pet-photo.jpg',
+      mimeType: file.mimetype,
+      fileSize: String(file.size),
+      httpMethod: 'POST',
+      resource: 'IMAGE'
+    }]
+  });
+
+  const staged = stagedResponse.data.stagedUploadsCreate;
+  if (staged.userErrors.length > 0) {
+    throw new UpstreamError(`Photo upload failed: ${staged.userErrors[0].message}`, { userErrors: staged.userErrors });
+  }
+
+  const target = staged.stagedTargets[0];
+
+  // The file must be the last part of the form, after the signed parameters
+  const form = new FormData();
+  target.parameters.forEach(({ name, value }) => form.append(name, value));
+  form.append('file', new Blob([file.buffer], { type: file.mimetype }), file.originalname || 'pet-photo.jpg');
+
+  const uploadResponse = await fetch(target.url, { method: 'POST', body: form });
+  if (!uploadResponse.ok) {
+    throw new UpstreamError(`Photo upload failed: ${uploadResponse.status}`);
+  }
+
+  const fileMutation = `
+    mutation CreatePetPhoto($files: [FileCreateInput!]!) {
+      fileCreate(files: $files) {
+        files {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const fileResponse = await shopifyGraphQL(fileMutation, {
+    files: [{
+      originalSource: target.resourceUrl,
+      contentType: 'IMAGE',
+      alt: petName ? `Photo of ${petName}` : 'Pet photo'
+    }]
+  });
+
+  const created = fileResponse.data.fileCreate;
+  if (created.userErrors.length > 0) {
+    throw new UpstreamError(`Photo upload failed: ${created.userErrors[0].message}`, { userErrors: created.userErrors });
+  }
+
+  return created.files[0].id;
+}
+
+/**
+ * Helper: Build metaobject fields from the pet_data keys that were sent
+ */
+function buildPetFields(petData) {
+  const fields = [];
+
+  PET_FIELD_KEYS.forEach(key => {
+    if (!(key in petData)) return;
+
+    const value = petData[key];
+
+    if (key === 'allergies' || key === 'weight_history') {
+      fields.push({ key, value: JSON.stringify(value || []) });
+    } else {
+      fields.push({ key, value: value == null ? '' : String(value) });
+    }
+  });
+
+  return fields;
+}
+
+/**
+ * Helper: Read a pet's stored field values, keyed by field
+ * @returns {Promise<Record<string, string|null>>}
+ */
+async function fetchPetFieldValues(petId) {
+  const pet = await getPetRepository().getPet(petId);
+  return Object.fromEntries((pet?.fields || []).map(field => [field.key, field.value]));
+}
+
+/**
+ * Helper: Add a weigh-in to a weight history
+ * A weigh-in on the same day replaces that day's entry.
+ * @returns {Array<{ date: string, weight_kg: number }>} The same history when the weight hasn't changed
+ */
+function addWeightToHistory(history, weightKg) {
+  if (!weightKg) return history;
+
+  const latest = history[history.length - 1];
+  if (latest && latest.weight_kg === weightKg) return history;
+
+  const date = new Date().toISOString().slice(0, 10);
+  const earlier = latest && latest.date === date ? history.slice(0, -1) : history;
+
+  return [...earlier, { date, weight_kg: weightKg }].slice(-WEIGHT_HISTORY_MAX_ENTRIES);
+}
+
+/**
+ * Helper: The pet repository in use
+ * Tests can replace app.locals.petRepository, e.g. with createMemoryPetRepository(), before sending requests.
+ * @returns {import('./lib/pet-repository').PetRepository}
+ */
+function getPetRepository() {
+  return app.locals.petRepository;
+}
+
+/**
+ * Helper: Get the metaobject IDs stored in the customer's custom.pets metafield
+ */
+async function fetchCustomerPetIds(customerId) {
+  return getPetRepository().getCustomerPetIds(customerId);
+}
+
+/**
+ * Helper: Link pet metaobject to customer
+ */
+async function linkPetToCustomer(customerId, petMetaobjectId) {
+  await getPetRepository().updateCustomerPetIds(customerId, petIds =>
+    petIds.includes(petMetaobjectId) ? petIds : [...petIds, petMetaobjectId]
+  );
+}
+
+/**
+ * Helper: Remove a pet metaobject from the customer's pets list
+ */
+async function unlinkPetFromCustomer(customerId, petMetaobjectId) {
+  await getPetRepository().updateCustomerPetIds(customerId, petIds =>
+    petIds.filter(id => id !== petMetaobjectId)
+  );
+}
+
+/**
+ * Helper: Drop references to deleted metaobjects from the customer's pets list
+ * @returns {Promise<string[]>} The IDs that were removed
+ */
+async function repairCustomerPets(customerId) {
+  const petIds = await fetchCustomerPetIds(customerId);
+
+  if (petIds.length === 0) return [];
+
+  // Listing leaves out pets that no longer exist
+  const existingIds = new Set((await fetchAllCustomerPets(customerId)).map(pet => pet.id));
+  const danglingIds = petIds.filter(id => !existingIds.has(id));
+
+  if (danglingIds.length > 0) {
+    // Pets linked since the check above are kept; only the dangling IDs are dropped
+    await getPetRepository().updateCustomerPetIds(customerId, ids => ids.filter(id => !danglingIds.includes(id)));
+    logger.info('Removed dangling pet references', { customer_id: customerId, count: danglingIds.length });
+  }
+
+  return danglingIds;
+}
+
+/**
+ * Helper: Delete a metaobject, e.g. a health record
+ * @returns {Promise<{ deletedId: string|null, userErrors: Array }>}
+ */
+async function deleteMetaobject(id) {
+  const mutation = `
+    mutation DeleteMetaobject($id: ID!) {
+      metaobjectDelete(id: $id) {
+        deletedId
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const response = await shopifyGraphQL(mutation, { id });
+  return response.data.metaobjectDelete;
+}
+
+/**
+ * Helper: Find the health records of some pets through the records' `pet` references
+ * @param {string[]} petIds
+ * @returns {Promise<Record<string, object>>} Health record keyed by pet ID, for pets that have one
+ */
+async function fetchHealthRecords(petIds) {
+  if (petIds.length === 0) return {};
+
+  const query = `
+    query GetHealthRecords($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Metaobject {
+          id
+          referencedBy(first: 10) {
+            nodes {
+              referencer {
+                ... on Metaobject {
+                  id
+                  type
+                  updatedAt
+                  ${HEALTH_FIELDS_SELECTION}
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const response = await shopifyGraphQL(query, { ids: petIds }, { estimatedCost: 12 * petIds.length + 1 });
+  const records = {};
+
+  response.data.nodes.forEach(pet => {
+    const referencer = pet?.referencedBy?.nodes
+      .map(relation => relation.referencer)
+      .find(node => node?.type === 'pet_health_record');
+
+    if (referencer) {
+      records[pet.id] = metaobjectToHealthRecord(referencer);
+    }
+  });
+
+  return records;
+}
+
+/**
+ * Helper: Convert validated health record data to metaobject fields
+ */
+function buildHealthFields(recordData) {
+  return HEALTH_FIELD_KEYS
+    .filter(key => key in recordData)
+    .map(key => {
+      const value = recordData[key];
+      const isList = key === 'vaccinations' || key === 'medications' || key === 'conditions';
+      return { key, value: isList ? JSON.stringify(value || []) : String(value ?? '') };
+    });
+}
+
+/**
+ * Helper: Convert a pet_health_record metaobject to the shape the theme uses
+ */
+function metaobjectToHealthRecord(metaobject) {
+  const record = { id: metaobject.id, pet_id: '', updated_at: metaobject.updatedAt };
+
+  HEALTH_FIELD_KEYS.forEach(key => {
+    record[key] = key === 'vaccinations' || key === 'medications' || key === 'conditions' ? [] : '';
+  });
+
+  metaobject.fields.forEach(field => {
+    if (field.key === 'pet') {
+      record.pet_id = field.value || '';
+    } else if (field.key === 'vaccinations' || field.key === 'medications' || field.key === 'conditions') {
+      record[field.key] = JSON.parse(field.value || '[]');
+    } else {
+      record[field.key] = field.value || '';
+    }
+  });
+
+  return record;
+}
+
+/**
+ * Helper: Sign a share link token for one of the customer's pets
+ * @returns {{ token: string, expiresAt: string }}
+ */
+function createShareToken(petId, customerId) {
+  const expires = Math.floor(Date.now() / 1000) + SHARE_LINK_TTL_SECONDS;
+  const payload = Buffer.from(JSON.stringify({ pet: petId, from: customerId, exp: expires })).toString('base64url');
+  const signature = crypto.createHmac('sha256', SHOPIFY_API_SECRET).update(`pet-share:${payload}`).digest('base64url');
+
+  return { token: `${payload}.${signature}`, expiresAt: new Date(expires * 1000).toISOString() };
+}
+
+/**
+ * Helper: Check a share link token's signature and expiry
+ * @returns {{ pet: string, from: string, exp: number } | null} The share, or null when the token can't be trusted
+ */
+function verifyShareToken(token) {
+  if (typeof token !== 'string' || !token.includes('.')) return null;
+
+  const [payload, signature] = token.split('.');
+  const expected = crypto.createHmac('sha256', SHOPIFY_API_SECRET).update(`pet-share:${payload}`).digest('base64url');
+
+  const signatureBuffer = Buffer.from(signature || '', 'utf8');
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+
+  if (signatureBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+    return null;
+  }
+
+  try {
+    const share = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!share.pet || !share.from || !(share.exp > Date.now() / 1000)) return null;
+    return share;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Helper: Get the customer GID in a pet's owner field
+ * @returns {Promise<string|null>} Null for pets created before sharing existed
+ */
+async function fetchPetOwnerId(petId) {
+  const pet = await getPetRepository().getPet(petId);
+  return pet?.fields.find(field => field.key === 'owner')?.value || null;
+}
+
+/**
+ * Helper: Whether a customer has a pet because its owner shared it with them
+ */
+async function isSharedWithCustomer(petId, customerId) {
+  const ownerId = await fetchPetOwnerId(petId);
+  return Boolean(ownerId) && ownerId !== `gid://shopify/Customer/${customerId}`;
+}
+
+/**
+ * Helper: Record the customer as the owner of a pet
+ */
+async function setPetOwner(petId, customerId) {
+  const result = await getPetRepository().updatePet(petId, [
+    { key: 'owner', value: `gid://shopify/Customer/${customerId}` }
+  ]);
+
+  if (result.userErrors && result.userErrors.length > 0) {
+    throw new UpstreamError(`Failed to set pet owner: ${result.userErrors[0].message}`, { userErrors: result.userErrors });
+  }
+}
+
+/**
+ * Helper: Load all of a customer's pets, following pagination
+ */
+async function fetchAllCustomerPets(customerId) {
+  const pets = [];
+  let after = null;
+
+  do {
+    const page = await getPetRepository().listCustomerPets(customerId, { first: LIST_PAGE_SIZE, after });
+
+    pets.push(...page.pets.map(node => metaobjectToPet(node, customerId)));
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+
+  return pets;
+}
+
+/**
+ * Helper: Collect everything stored about a customer's pets, with each pet's health record
+ */
+async function buildPetDataExport(customerId) {
+  const pets = await fetchAllCustomerPets(customerId);
+  const healthRecords = await fetchHealthRecords(pets.map(pet => pet.id));
+
+  return {
+    customer_id: customerId,
+    exported_at: new Date().toISOString(),
+    pets: pets.map(pet => ({ ...pet, health_record: healthRecords[pet.id] || null }))
+  };
+}
+
+/**
+ * Helper: Delete the pets a customer owns, with their health records, the app's customer metafields and the birthday tag
+ * Pets shared with the customer belong to someone else and are only unlinked. Owned pets the customer
+ * shared are removed from the household members' lists too, so those don't point at a deleted pet.
+ * @returns {Promise<{ deletedPetIds: string[], unlinkedPetIds: string[] }>}
+ */
+async function redactCustomerPets(customerId) {
+  const petIds = await fetchCustomerPetIds(customerId);
+  const deletedPetIds = [];
+  const unlinkedPetIds = [];
+
+  for (const petId of petIds) {
+    if (await isSharedWithCustomer(petId, customerId)) {
+      unlinkedPetIds.push(petId);
+      continue;
+    }
+
+    const memberIds = (await getPetRepository().getPetCustomerIds(petId)).filter(id => id !== String(customerId));
+
+    const healthRecord = (await fetchHealthRecords([petId]))[petId];
+    if (healthRecord) {
+      await deleteMetaobject(healthRecord.id);
+    }
+
+    const result = await getPetRepository().deletePet(petId);
+    if (result.userErrors && result.userErrors.length > 0) {
+      throw new UpstreamError(`Failed to delete pet ${petId}: ${result.userErrors[0].message}`, { userErrors: result.userErrors });
+    }
+    deletedPetIds.push(petId);
+
+    for (const memberId of memberIds) {
+      await unlinkPetFromCustomer(memberId, petId);
+    }
+  }
+
+  // Removing custom.pets also unlinks the shared pets
+  const mutation = `
+    mutation DeleteCustomerPetMetafields($metafields: [MetafieldIdentifierInput!]!) {
+      metafieldsDelete(metafields: $metafields) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const response = await shopifyGraphQL(mutation, {
+    metafields: CUSTOMER_METAFIELD_KEYS.map(key => ({
+      ownerId: `gid://shopify/Customer/${customerId}`,
+      namespace: 'custom',
+      key
+    }))
+  });
+
+  const result = response.data.metafieldsDelete;
+
+  if (result.userErrors && result.userErrors.length > 0) {
+    throw new UpstreamError(`Failed to delete customer metafields: ${result.userErrors[0].message}`, { userErrors: result.userErrors });
+  }
+
+  // The birthday job's tag says the customer has a pet with a birthday coming up
+  const tagMutation = `
+    mutation RemoveBirthdayTag($id: ID!, $tags: [String!]!) {
+      tagsRemove(id: $id, tags: $tags) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const tagResponse = await shopifyGraphQL(tagMutation, { id: `gid://shopify/Customer/${customerId}`, tags: [BIRTHDAY_TAG] });
+  const tagResult = tagResponse.data.tagsRemove;
+
+  if (tagResult.userErrors && tagResult.userErrors.length > 0) {
+    throw new UpstreamError(`Failed to remove customer tag: ${tagResult.userErrors[0].message}`, { userErrors: tagResult.userErrors });
+  }
+
+  return { deletedPetIds, unlinkedPetIds };
+}
+
+/**
+ * Helper: Write a JSON metafield in the customer's custom namespace
+ */
+async function saveCustomerJsonMetafield(customerId, key, value) {
+  const mutation = `
+    mutation SetCustomerJsonMetafield($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        metafields {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const response = await shopifyGraphQL(mutation, {
+    metafields: [
+      {
+        ownerId: `gid://shopify/Customer/${customerId}`,
+        namespace: 'custom',
+        key,
+        value: JSON.stringify(value),
+        type: 'json'
+      }
+    ]
+  });
+
+  const result = response.data.metafieldsSet;
+
+  if (result.userErrors && result.userErrors.length > 0) {
+    throw new UpstreamError(`Failed to save customer ${key}: ${result.userErrors[0].message}`, { userErrors: result.userErrors });
+  }
+}
+
+/**
+ * Helper: Convert a metaobject's fields array to a pet object
+ * @param {string} customerId - The customer asking, whose role on the pet is included
+ */
+function metaobjectToPet(metaobject, customerId) {
+  const pet = {
+    id: metaobject.id,
+    handle: metaobject.handle,
+    image_url: '',
+    role: 'owner'
+  };
+
+  // Every stored field is returned, even when empty, so clients always see the same shape
+  PET_FIELD_KEYS.forEach(key => {
+    pet[key] = key === 'allergies' || key === 'weight_history' ? [] : '';
+  });
+  pet.weight_kg = null;
+
+  metaobject.fields.forEach(field => {
+    if (field.key === 'allergies' || field.key === 'weight_history') {
+      pet[field.key] = JSON.parse(field.value || '[]');
+    } else if (field.key === 'weight_kg') {
+      pet.weight_kg = field.value ? Number(field.value) : null;
+    } else if (field.key === 'owner') {
+      // The owner's ID isn't passed on, only whether the pet was shared with this customer
+      pet.role = field.value && field.value !== `gid://shopify/Customer/${customerId}` ? 'shared' : 'owner';
+    } else if (field.key === 'photo') {
+      // The image is empty while Shopify is still processing a fresh upload
+      pet.image_url = field.reference?.image?.url || '';
+    } else {
+      pet[field.key] = field.value || '';
+    }
+  });
+
+  return pet;
+}
+
+/**
+ * Verify a webhook came from Shopify
+ * The X-Shopify-Hmac-Sha256 header is a base64 HMAC-SHA256 of the raw body, keyed with the app's secret.
+ * @see https://shopify.dev/docs/apps/build/webhooks/subscribe/https#step-5-verify-the-webhook
+ */
+function verifyWebhookRequest(req, res, next) {
+  if (!SHOPIFY_API_SECRET) {
+    return next(new PetApiError('Webhook verification is not configured'));
+  }
+
+  const hmac = req.get('X-Shopify-Hmac-Sha256');
+
+  if (!hmac || !req.rawBody) {
+    return next(new AuthError('Missing webhook signature'));
+  }
+
+  const expected = crypto.createHmac('sha256', SHOPIFY_API_SECRET).update(req.rawBody).digest('base64');
+
+  const hmacBuffer = Buffer.from(hmac, 'utf8');
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+
+  if (hmacBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(hmacBuffer, expectedBuffer)) {
+    return next(new AuthError('Invalid webhook signature'));
+  }
+
+  req.log = req.log.child({ webhook: req.get('X-Shopify-Topic') || null, shop: req.get('X-Shopify-Shop-Domain') || null });
+  next();
+}
+
+app.use('/webhooks', verifyWebhookRequest);
+
+/**
+ * Mandatory privacy webhook: a customer asked the store for their data
+ * POST /webhooks/customers/data_request
+ * The export is saved to the customer's custom.pet_data_export metafield for the store to send on.
+ */
+app.post('/webhooks/customers/data_request', asyncRoute(async (req, res) => {
+  const customerId = String(req.body.customer?.id || '');
+
+  if (!customerId) {
+    throw new ValidationError('customer.id is required');
+  }
+
+  const petData = await buildPetDataExport(customerId);
+
+  await saveCustomerJsonMetafield(customerId, 'pet_data_export', {
+    data_request_id: req.body.data_request?.id || null,
+    ...petData
+  });
+
+  // Failures reach the error handler; the non-2xx response makes Shopify retry the webhook
+  req.log.info('Pet data exported for data request', {
+    customer_id: customerId,
+    data_request_id: req.body.data_request?.id || null,
+    pets: petData.pets.length
+  });
+
+  res.json({ success: true });
+}));
+
+/**
+ * Mandatory privacy webhook: erase a customer's data
+ * POST /webhooks/customers/redact
+ */
+app.post('/webhooks/customers/redact', asyncRoute(async (req, res) => {
+  const customerId = String(req.body.customer?.id || '');
+
+  if (!customerId) {
+    throw new ValidationError('customer.id is required');
+  }
+
+  const result = await redactCustomerPets(customerId);
+
+  req.log.info('Customer redacted', {
+    customer_id: customerId,
+    deleted_pets: result.deletedPetIds.length,
+    unlinked_shared_pets: result.unlinkedPetIds.length
+  });
+
+  res.json({ success: true });
+}));
+
+/**
+ * Mandatory privacy webhook: erase a shop's data, 48 hours after it uninstalled the app
+ * POST /webhooks/shop/redact
+ * Pets live in the shop's own metaobjects, which the app can no longer reach by now; the app keeps
+ * no copy apart from the in-memory species cache.
+ */
+app.post('/webhooks/shop/redact', (req, res) => {
+  speciesCache.registry = null;
+  speciesCache.fetchedAt = 0;
+
+  req.log.info('Shop redacted', { shop_domain: req.body.shop_domain });
+
+  res.json({ success: true });
 });
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+/**
+ * Turn errors into the API's error response
+ * PetApiErrors keep their status and code; anything else is logged in full and answered with a
+ * generic 500, so stack traces and Admin API messages never reach the browser.
+ */
+app.use((error, req, res, next) => {
+  const log = req.log || logger;
+  let apiError = error;
+
+  if (error instanceof multer.MulterError) {
+    apiError = new ValidationError(error.message, { fieldErrors: error.field ? { [error.field]: error.message } : null });
+  } else if (error.type === 'entity.parse.failed' || error.type === 'entity.too.large') {
+    apiError = new ValidationError('The request body could not be read');
+  } else if (!(error instanceof PetApiError)) {
+    apiError = new PetApiError('Something went wrong');
+  }
+
+  if (apiError.status >= 500) {
+    log.error('Request failed', { error, user_errors: error.userErrors });
+  } else {
+    log.warn('Request rejected', { status: apiError.status, code: apiError.code, message: apiError.message });
+  }
+
+  // Upstream messages can describe the store's setup; the customer only needs to know it failed
+  const message = apiError instanceof UpstreamError ? 'The store could not complete the request' : apiError.message;
+
+  res.status(apiError.status).json({
+    success: false,
+    error: message,
+    code: apiError.code,
+    request_id: req.id,
+    ...(apiError.fieldErrors ? { field_errors: apiError.fieldErrors } : {})
+  });
+});
+
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    logger.info('Pet Profile API running', { port: Number(PORT) });
+  });
+}
+
+module.exports = { app, shopifyGraphQL, repairCustomerPets };
@@ -0,0 +1,162 @@
+/**
+ * Birthday rewards job, run against the mock Admin API with a fixed clock
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+
+const { runBirthdayRewards, getUpcomingBirthday, BIRTHDAY_TAG } = require('../lib/birthday-rewards');
+const { createMockAdminApi } = require('../lib/mock-admin-api');
+
+const OWNER = 'gid://shopify/Customer/1';
+const HOUSEHOLD_MEMBER = 'gid://shopify/Customer/2';
+
+const clock = iso => () => new Date(iso);
+
+/**
+ * Create a pet and link it to customers' custom.pets, like the app does
+ * @param {ReturnType<typeof createMockAdminApi>} api
+ * @param {{ name: string, birthday: string, owner?: string|null, customers?: string[] }} pet
+ * @returns {Promise<string>} The pet's ID
+ */
+async function addPet(api, { name, birthday, owner = OWNER, customers = [OWNER] }) {
+  const fields = [
+    { key: 'name', value: name },
+    { key: 'birthday', value: birthday },
+    ...(owner ? [{ key: 'owner', value: owner }] : [])
+  ];
+
+  const created = await api.graphql('mutation { metaobjectCreate(metaobject: $metaobject) }', {
+    metaobject: { type: 'pet_profile', fields }
+  });
+  const petId = created.data.metaobjectCreate.metaobject.id;
+
+  for (const customerId of customers) {
+    await api.graphql('mutation { metafieldsSet(metafields: $metafields) }', {
+      metafields: [{ ownerId: customerId, namespace: 'custom', key: 'pets', value: JSON.stringify([petId]), type: 'list.metaobject_reference' }]
+    });
+  }
+
+  return petId;
+}
+
+function savedRewards(api, customerId = OWNER) {
+  const metafield = api.metafields.get(`${customerId}|custom.pet_birthday_rewards`);
+  return metafield ? JSON.parse(metafield.value) : [];
+}
+
+test('a pet gets one code per birthday however often the job runs', async () => {
+  const api = createMockAdminApi();
+  await addPet(api, { name: 'Biscuit', birthday: '2020-10-20' });
+
+  const first = await runBirthdayRewards({ graphql: api.graphql, now: clock('2025-10-18T09:00:00Z') });
+  const second = await runBirthdayRewards({ graphql: api.graphql, now: clock('2025-10-19T09:00:00Z') });
+
+  assert.equal(first.rewarded.length, 1);
+  assert.equal(first.rewarded[0].birthday, '2025-10-20');
+  assert.match(first.rewarded[0].code, /^BDAY-BISCUIT-[0-9A-F]{6}$/);
+  assert.equal(second.rewarded.length, 0);
+  assert.equal(api.discounts.size, 1);
+  assert.deepEqual(savedRewards(api).map(reward => reward.code), [first.rewarded[0].code]);
+  assert.ok(api.tags.get(OWNER).has(BIRTHDAY_TAG));
+});
+
+test('the next year\'s birthday is rewarded again', async () => {
+  const api = createMockAdminApi();
+  await addPet(api, { name: 'Biscuit', birthday: '2020-10-20' });
+
+  await runBirthdayRewards({ graphql: api.graphql, now: clock('2025-10-18T09:00:00Z') });
+  const nextYear = await runBirthdayRewards({ graphql: api.graphql, now: clock('2026-10-18T09:00:00Z') });
+
+  assert.equal(nextYear.rewarded.length, 1);
+  assert.equal(nextYear.rewarded[0].birthday, '2026-10-20');
+  // Last year's code has expired and is dropped
+  assert.deepEqual(savedRewards(api).map(reward => reward.birthday), ['2026-10-20']);
+});
+
+test('pets born on 29 February celebrate on 28 February in other years', () => {
+  assert.equal(getUpcomingBirthday('2020-02-29', new Date('2025-02-25T00:00:00Z'), 7), '2025-02-28');
+  assert.equal(getUpcomingBirthday('2020-02-29', new Date('2028-02-25T00:00:00Z'), 7), '2028-02-29');
+});
+
+test('a window crossing New Year finds January birthdays', async () => {
+  const api = createMockAdminApi();
+  await addPet(api, { name: 'Pepper', birthday: '2019-01-02' });
+
+  const summary = await runBirthdayRewards({ graphql: api.graphql, now: clock('2025-12-29T09:00:00Z') });
+
+  assert.equal(summary.rewarded.length, 1);
+  assert.equal(summary.rewarded[0].birthday, '2026-01-02');
+  assert.equal(summary.rewarded[0].expires_at, '2026-01-17T00:00:00.000Z');
+});
+
+test('birthdays outside the window and on the day of birth are skipped', async () => {
+  const api = createMockAdminApi();
+  await addPet(api, { name: 'Later', birthday: '2020-11-30' });
+  await addPet(api, { name: 'Newborn', birthday: '2025-10-18' });
+
+  const summary = await runBirthdayRewards({ graphql: api.graphql, now: clock('2025-10-18T09:00:00Z') });
+
+  assert.equal(summary.checked, 2);
+  assert.equal(summary.rewarded.length, 0);
+});
+
+test('only the owner is rewarded for a shared pet', async () => {
+  const api = createMockAdminApi();
+  await addPet(api, { name: 'Biscuit', birthday: '2020-10-20', customers: [OWNER, HOUSEHOLD_MEMBER] });
+
+  const summary = await runBirthdayRewards({ graphql: api.graphql, now: clock('2025-10-18T09:00:00Z') });
+
+  assert.deepEqual(summary.rewarded.map(reward => reward.customer_id), [OWNER]);
+  assert.equal(api.discounts.size, 1);
+  assert.deepEqual(savedRewards(api, HOUSEHOLD_MEMBER), []);
+});
+
+test('pets without an owner field reward the one customer they belong to', async () => {
+  const api = createMockAdminApi();
+  await addPet(api, { name: 'Biscuit', birthday: '2020-10-20', owner: null });
+
+  const summary = await runBirthdayRewards({ graphql: api.graphql, now: clock('2025-10-18T09:00:00Z') });
+
+  assert.deepEqual(summary.rewarded.map(reward => reward.customer_id), [OWNER]);
+});
+
+test('no code is created when another run saved its reward first', async () => {
+  const api = createMockAdminApi();
+  await addPet(api, { name: 'Biscuit', birthday: '2020-10-20' });
+
+  // Another run writes the rewards metafield between this run's read and its write
+  let raced = false;
+  const graphql = async (query, variables) => {
+    if (!raced && /SetBirthdayRewards/.test(query)) {
+      raced = true;
+      await api.graphql(query, { metafields: variables.metafields.map(({ compareDigest, ...metafield }) => metafield) });
+    }
+    return api.graphql(query, variables);
+  };
+
+  const summary = await runBirthdayRewards({ graphql, now: clock('2025-10-18T09:00:00Z') });
+
+  assert.equal(summary.failed.length, 1);
+  assert.equal(api.discounts.size, 0);
+});
+
+test('a reward whose code couldn\'t be created is removed so the next run retries', async () => {
+  const api = createMockAdminApi();
+  await addPet(api, { name: 'Biscuit', birthday: '2020-10-20' });
+
+  const failingDiscounts = async (query, variables) => {
+    if (/discountCodeBasicCreate/.test(query)) throw new Error('Discounts are down');
+    return api.graphql(query, variables);
+  };
+
+  const failed = await runBirthdayRewards({ graphql: failingDiscounts, now: clock('2025-10-18T09:00:00Z') });
+  assert.equal(failed.failed.length, 1);
+  assert.deepEqual(savedRewards(api), []);
+
+  const retried = await runBirthdayRewards({ graphql: api.graphql, now: clock('2025-10-18T10:00:00Z') });
+  assert.equal(retried.rewarded.length, 1);
+  assert.equal(api.discounts.size, 1);
+});
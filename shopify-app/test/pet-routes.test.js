@@ -0,0 +1,244 @@
+/**
+ * Pet routes, run offline against the memory repository and the mock Admin API
+ */
+
+const crypto = require('crypto');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Set before server.js reads them; memory pets imply the mock Admin API
+process.env.SHOPIFY_API_SECRET = 'test-secret';
+process.env.PET_REPOSITORY = 'memory';
+process.env.LOG_LEVEL = 'error';
+
+const { app, shopifyGraphQL } = require('../server');
+const { signAppProxyQuery } = require('../lib/mock-admin-api');
+const { createMemoryPetRepository } = require('../lib/pet-repository');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/apps/pet-profile`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  app.locals.petRepository = createMemoryPetRepository();
+});
+
+/**
+ * Send an app proxy request signed for a customer, the way Shopify forwards it
+ * @param {string} method
+ * @param {string} path
+ * @param {{ customerId?: string|null, query?: Record<string, string>, body?: object }} [options]
+ *   customerId null sends the request unsigned
+ */
+async function request(method, path, { customerId = '1', query = {}, body } = {}) {
+  const queryString = customerId === null
+    ? new URLSearchParams(query).toString()
+    : signAppProxyQuery({
+      ...query,
+      shop: 'test.myshopify.com',
+      logged_in_customer_id: customerId,
+      timestamp: String(Math.floor(Date.now() / 1000))
+    }, process.env.SHOPIFY_API_SECRET);
+
+  const response = await fetch(`${baseUrl}${path}?${queryString}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+/**
+ * Send a webhook signed the way Shopify signs them
+ * @param {string} topic - e.g. 'customers/redact'
+ * @param {object} payload
+ */
+async function sendWebhook(topic, payload) {
+  const body = JSON.stringify(payload);
+  const hmac = crypto.createHmac('sha256', process.env.SHOPIFY_API_SECRET).update(body).digest('base64');
+
+  const response = await fetch(baseUrl.replace('/apps/pet-profile', `/webhooks/${topic}`), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Shopify-Hmac-Sha256': hmac, 'X-Shopify-Topic': topic },
+    body
+  });
+
+  return { status: response.status, body: await response.json() };
+}
+
+function createPet(customerId = '1', petData = { name: 'Rex', type: 'dog', weight_kg: 20 }) {
+  return request('POST', '/create', { customerId, body: { pet_data: petData } });
+}
+
+test('create stores the pet and links it to the customer', async () => {
+  const created = await createPet();
+
+  assert.equal(created.status, 200);
+  assert.equal(created.body.pet.name, 'Rex');
+  assert.equal(created.body.pet.weight, 'medium');
+  assert.equal(created.body.pet.role, 'owner');
+
+  const listed = await request('GET', '/list');
+
+  assert.equal(listed.status, 200);
+  assert.deepEqual(listed.body.pets.map(pet => pet.id), [created.body.pet.id]);
+});
+
+test('create rejects invalid pet data with a message per field', async () => {
+  const created = await createPet('1', { name: '', type: 'dog', weight_kg: 20 });
+
+  assert.equal(created.status, 400);
+  assert.equal(created.body.code, 'validation_failed');
+  assert.ok(created.body.field_errors.name);
+});
+
+test('list only returns the calling customer\'s pets', async () => {
+  await createPet('1');
+  await createPet('2', { name: 'Tom', type: 'cat', weight_kg: 4 });
+
+  const listed = await request('GET', '/list', { customerId: '2' });
+
+  assert.deepEqual(listed.body.pets.map(pet => pet.name), ['Tom']);
+});
+
+test('list pages through pets', async () => {
+  for (const name of ['A', 'B', 'C']) {
+    await createPet('1', { name, type: 'dog', weight_kg: 10 });
+  }
+
+  const first = await request('GET', '/list', { query: { first: '2' } });
+  assert.deepEqual(first.body.pets.map(pet => pet.name), ['A', 'B']);
+  assert.equal(first.body.page_info.has_next_page, true);
+
+  const second = await request('GET', '/list', { query: { first: '2', after: first.body.page_info.end_cursor } });
+  assert.deepEqual(second.body.pets.map(pet => pet.name), ['C']);
+  assert.equal(second.body.page_info.has_next_page, false);
+});
+
+test('delete removes the pet and unlinks it', async () => {
+  const created = await createPet();
+  const petId = encodeURIComponent(created.body.pet.id);
+
+  const deleted = await request('DELETE', `/delete/${petId}`);
+
+  assert.equal(deleted.status, 200);
+  assert.equal(deleted.body.deleted_id, created.body.pet.id);
+  assert.deepEqual((await request('GET', '/list')).body.pets, []);
+  assert.equal(app.locals.petRepository.pets.size, 0);
+});
+
+test('delete answers 404 for another customer\'s pet', async () => {
+  const created = await createPet('1');
+
+  const deleted = await request('DELETE', `/delete/${encodeURIComponent(created.body.pet.id)}`, { customerId: '2' });
+
+  assert.equal(deleted.status, 404);
+  assert.equal(deleted.body.code, 'not_found');
+  assert.equal(app.locals.petRepository.pets.size, 1);
+});
+
+test('update works out the weight class again from a new weight alone', async () => {
+  const created = await createPet('1', { name: 'Rex', type: 'dog', weight_kg: 20 });
+
+  const updated = await request('PUT', `/${encodeURIComponent(created.body.pet.id)}`, { body: { pet_data: { weight_kg: 40 } } });
+
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.pet.weight_kg, 40);
+  assert.equal(updated.body.pet.weight, 'large');
+  assert.equal(updated.body.pet.weight_history.length, 1);
+});
+
+test('update works out the weight class again for a new species', async () => {
+  const created = await createPet('1', { name: 'Rex', type: 'dog', weight_kg: 4 });
+
+  const updated = await request('PUT', `/${encodeURIComponent(created.body.pet.id)}`, { body: { pet_data: { type: 'cat' } } });
+
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.pet.type, 'cat');
+  assert.equal(updated.body.pet.weight, 'cat');
+});
+
+test('update keeps a weight class picked without a weight', async () => {
+  const created = await createPet('1', { name: 'Rex', type: 'dog', weight_kg: 20 });
+
+  const updated = await request('PUT', `/${encodeURIComponent(created.body.pet.id)}`, { body: { pet_data: { weight: 'small' } } });
+
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.pet.weight, 'small');
+  assert.equal(updated.body.pet.weight_kg, null);
+});
+
+test('household members can see a shared pet but not change or delete it', async () => {
+  const created = await createPet('1');
+  const petId = encodeURIComponent(created.body.pet.id);
+
+  const shared = await request('POST', `/share/${petId}`);
+  const accepted = await request('POST', '/share/accept', { customerId: '2', body: { token: shared.body.token } });
+  assert.equal(accepted.status, 200);
+
+  const listed = await request('GET', '/list', { customerId: '2' });
+  assert.equal(listed.body.pets[0].role, 'shared');
+
+  const updated = await request('PUT', `/${petId}`, { customerId: '2', body: { pet_data: { breed: 'Poodle' } } });
+  assert.equal(updated.status, 403);
+
+  const deleted = await request('DELETE', `/delete/${petId}`, { customerId: '2' });
+  assert.equal(deleted.status, 403);
+  assert.equal(deleted.body.code, 'forbidden');
+});
+
+test('requests without a valid app proxy signature are rejected', async () => {
+  const unsigned = await request('GET', '/list', { customerId: null });
+
+  assert.equal(unsigned.status, 401);
+  assert.equal(unsigned.body.code, 'unauthorized');
+  assert.equal(unsigned.headers.get('X-Request-Id'), unsigned.body.request_id);
+});
+
+test('customer erasure deletes their pets, metafields and birthday tag', async () => {
+  const created = await createPet('5');
+  const customerGid = 'gid://shopify/Customer/5';
+  await shopifyGraphQL('mutation TagBirthdayCustomer($id: ID!, $tags: [String!]!) { tagsAdd(id: $id, tags: $tags) }', {
+    id: customerGid,
+    tags: ['pet-birthday', 'vip']
+  });
+
+  const redacted = await sendWebhook('customers/redact', { customer: { id: 5 } });
+
+  assert.equal(redacted.status, 200);
+  assert.equal(app.locals.petRepository.pets.has(created.body.pet.id), false);
+
+  const customer = await shopifyGraphQL('query { customer(id: $id) { tags } }', { id: customerGid });
+  assert.deepEqual(customer.data.customer.tags, ['vip']);
+});
+
+test('customer erasure removes their pets from household members they shared them with', async () => {
+  const created = await createPet('6');
+  const shared = await request('POST', `/share/${encodeURIComponent(created.body.pet.id)}`, { customerId: '6' });
+  await request('POST', '/share/accept', { customerId: '7', body: { token: shared.body.token } });
+
+  const redacted = await sendWebhook('customers/redact', { customer: { id: 6 } });
+
+  assert.equal(redacted.status, 200);
+  assert.deepEqual(app.locals.petRepository.customerPetIds.get('7'), []);
+});
+
+test('webhooks without a valid signature are rejected', async () => {
+  const response = await fetch(baseUrl.replace('/apps/pet-profile', '/webhooks/customers/redact'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Shopify-Hmac-Sha256': 'forged' },
+    body: JSON.stringify({ customer: { id: 5 } })
+  });
+
+  assert.equal(response.status, 401);
+});